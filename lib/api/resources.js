@@ -4,44 +4,127 @@
 
 var _ = require('lodash');
 var fs = require('fs');
+var path = require('path');
+var Stream = require('stream');
+var util = require('util');
 
+var EmbdrErrors = require('../errors');
 var ProcessrUtil = require('../util');
+var UploadUtil = require('../upload');
+
+// The preview types, keyed by the names they can be referred to with
+var PREVIEW_TYPES = {
+    'thumbnail': 'thumbnails',
+    'thumbnails': 'thumbnails',
+    'image': 'images',
+    'images': 'images'
+};
+
+// The file extensions for the content types previews are commonly generated in
+var EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'application/pdf': 'pdf'
+};
 
 module.exports = function(processr) {
 
     var apis = {
 
         /**
-         * Create and process a file
+         * Create and process a file. The file is uploaded with its filename and content type. The
+         * content type is detected from the first bytes of the file or from its filename
          *
          * @param  {stream}     file                            A stream that holds the data for a file that should be uploaded and processed
          * @param  {Object}     [options]                       A set of extra options
-         * @param  {string[]}   [options.thumbnailSizes]        A set of thumbnail dimensions
-         * @param  {string[]}   [options.imageSizes]            A set of image dimensions
-         * @param  {Function}   callback                        Standard callback function
+         * @param  {string[]}   [options.thumbnailSizes]        A set of thumbnail dimensions. Each size is of the format {width}x{height}, an object with a `width` and a `height` or the name of a preset
+         * @param  {string[]}   [options.imageSizes]            A set of image dimensions. See `options.thumbnailSizes`
+         * @param  {Object}     [options.callbackUrls]          The URLs the REST API should post notifications to, keyed by event. The events are `start`, `error`, `complete`, `thumbnails` and `images`
+         * @param  {string}     [options.filename]              The filename to upload the file with. Defaults to the name of the file on disk
+         * @param  {string}     [options.contentType]           The content type to upload the file with. By default, it's detected
+         * @param  {number}     [options.maxBytes]              The maximum size of the file in bytes. A larger file fails with an `EmbdrValidationError`. When its size isn't known up front, the upload is aborted once the limit is exceeded
+         * @param  {string[]}   [options.allowedTypes]          The content types the file can have. A type can end in a wildcard, for example `image/*`. A file of any other type fails with an `EmbdrValidationError` before it's uploaded
+         * @param  {Function}   [options.uploadProgress]        Called as the request is being sent. It's passed an object with the amount of `bytes` that have been sent and the `total` amount of bytes, or `null` when the total isn't known
+         * @param  {number}     [options.timeout]               The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}     [options.headers]               Extra headers to send along
+         * @param  {string}     [options.apiKey]                The API key to make the request with. Overrides the client's API key
+         * @param  {Function}   [callback]                      Standard callback function. When omitted, a Promise is returned instead
          * @param  {Error}      callback.err                    The error object as returned by the REST API. If no error occurred, this value will be `null`
          * @param  {Object}     callback.data                   The data as returned by the REST API. If the request errored, this value will be `null`
+         * @return {Promise|Object}                             A Promise for the created resource when no callback was provided, the in-flight upload otherwise. It has an `abort` function
+         * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid. Nothing is uploaded in that case
          */
         'createFile': function(file, options, callback) {
-            // If the file is a string, we assume it's a path on disk
-            if (_.isString(file)) {
-                try {
-                    file = fs.createReadStream(file);
-                } catch (err) {
-                    return callback({'message': 'A stream could not be opened for the provided path', 'err': err});
-                }
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
             }
+            options = options || {};
+            var sizes = getSizes(options);
 
-            // Attach an error listener to the stream
-            file.on('error', function(err) {
-                return callback({'message': 'An error occurred when reading from the stream', 'err': err});
-            });
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                // A stream error also causes the upload to fail, ensure the caller is only notified once
+                done = _.once(done);
+
+                // If the file is a string, we assume it's a path on disk
+                if (_.isString(file)) {
+                    try {
+                        file = fs.createReadStream(file);
+                    } catch (err) {
+                        return done(new EmbdrErrors.EmbdrStreamError('A stream could not be opened for the provided path', {'method': 'POST', 'path': '/resources', 'err': err}));
+                    }
+                }
 
-            // Upload the file
-            var data = {'file': file};
-            addSizes(data, options, 'thumbnailSizes');
-            addSizes(data, options, 'imageSizes');
-            return processr._request('POST', '/resources', data, callback);
+                // The request is only made once the file's content type is known, so the upload
+                // has to be abortable before that
+                var aborted = false;
+                var inflight = null;
+                var upload = {
+                    'abort': function() {
+                        aborted = true;
+                        if (inflight) {
+                            inflight.abort();
+                        }
+                    }
+                };
+
+                UploadUtil.prepare(file, options, function(err, prepared) {
+                    if (aborted) {
+                        return;
+                    } else if (err) {
+                        return done(err);
+                    }
+
+                    // Reading the file can still fail or exceed the maximum size once the upload
+                    // has started. Buffers can't error out, so there's no need to listen to those
+                    if (!Buffer.isBuffer(prepared.file)) {
+                        prepared.file.on('error', function(uploadErr) {
+                            upload.abort();
+                            return done(uploadErr);
+                        });
+                    }
+
+                    // Upload the file
+                    var data = {'file': prepared.file};
+                    addSizes(data, sizes, 'thumbnailSizes');
+                    addSizes(data, sizes, 'imageSizes');
+                    addCallbackUrls(data, options);
+
+                    var requestOptions = getRequestOptions(options);
+                    requestOptions.parts = {
+                        'file': _.omit({
+                            'filename': prepared.filename,
+                            'contentType': prepared.contentType,
+                            'knownLength': prepared.size
+                        }, _.isNull)
+                    };
+                    inflight = processr._request('POST', '/resources', data, requestOptions, done);
+                });
+                return upload;
+            });
         },
 
         /**
@@ -49,50 +132,478 @@ module.exports = function(processr) {
          *
          * @param  {string}     link                            The link that should be processed
          * @param  {Object}     [options]                       A set of extra options
-         * @param  {string[]}   [options.thumbnailSizes]        A set of thumbnail dimensions
-         * @param  {string[]}   [options.imageSizes]            A set of image dimensions
-         * @param  {Function}   callback                        Standard callback function
+         * @param  {string[]}   [options.thumbnailSizes]        A set of thumbnail dimensions. Each size is of the format {width}x{height}, an object with a `width` and a `height` or the name of a preset
+         * @param  {string[]}   [options.imageSizes]            A set of image dimensions. See `options.thumbnailSizes`
+         * @param  {Object}     [options.callbackUrls]          The URLs the REST API should post notifications to, keyed by event. The events are `start`, `error`, `complete`, `thumbnails` and `images`
+         * @param  {number}     [options.timeout]               The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}     [options.headers]               Extra headers to send along
+         * @param  {string}     [options.apiKey]                The API key to make the request with. Overrides the client's API key
+         * @param  {Function}   [callback]                      Standard callback function. When omitted, a Promise is returned instead
          * @param  {Error}      callback.err                    The error object as returned by the REST API. If no error occurred, this value will be `null`
          * @param  {Object}     callback.data                   The data as returned by the REST API. If the request errored, this value will be `null`
+         * @return {Promise|Request}                            A Promise for the created resource when no callback was provided, the in-flight request otherwise
+         * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid. Nothing is uploaded in that case
          */
         'createLink': function(link, options, callback) {
-            var data = {'link': link};
-            addSizes(data, options, 'thumbnailSizes');
-            addSizes(data, options, 'imageSizes');
-            return processr._request('POST', '/resources', data, callback);
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
+            }
+            options = options || {};
+            var sizes = getSizes(options);
+
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var data = {'link': link};
+                addSizes(data, sizes, 'thumbnailSizes');
+                addSizes(data, sizes, 'imageSizes');
+                addCallbackUrls(data, options);
+                return processr._request('POST', '/resources', data, getRequestOptions(options), done);
+            });
         },
 
         /**
          * Get a resource
          *
-         * @param  {string}     id                  The id of the resource that should be retrieved
-         * @param  {Function}   callback            Standard callback function
-         * @param  {Error}      callback.err        The error object as returned by the REST API. If no error occurred, this value will be `null`
-         * @param  {Object}     callback.data       The data as returned by the REST API. If the request errored, this value will be `null`
+         * @param  {string}     id                          The id of the resource that should be retrieved
+         * @param  {Object}     [options]                   A set of extra options
+         * @param  {number}     [options.timeout]           The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}     [options.headers]           Extra headers to send along
+         * @param  {string}     [options.apiKey]            The API key to make the request with. Overrides the client's API key
+         * @param  {Function}   [callback]                  Standard callback function. When omitted, a Promise is returned instead
+         * @param  {Error}      callback.err                The error object as returned by the REST API. If no error occurred, this value will be `null`
+         * @param  {Object}     callback.data               The data as returned by the REST API. If the request errored, this value will be `null`
+         * @return {Promise|Request}                        A Promise for the resource when no callback was provided, the in-flight request otherwise
+         */
+        'get': function(id, options, callback) {
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
+            }
+            options = options || {};
+
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var url = '/resources/' + ProcessrUtil.encodeURIComponent(id);
+                return processr._request('GET', url, null, getRequestOptions(options), done);
+            });
+        },
+
+        /**
+         * List the resources that were created with the API key. The resources are returned a page at
+         * a time, use `iterate` to go through all of them
+         *
+         * @param  {Object}             [options]                   A set of extra options
+         * @param  {string}             [options.status]            Only list the resources with this status. One of `pending`, `done` or `unsupported`
+         * @param  {Date|number|string} [options.since]             Only list the resources that were created at or after this date
+         * @param  {number}             [options.limit]             The maximum amount of resources to return
+         * @param  {string}             [options.cursor]            The cursor of the page to return, as returned in the `nextCursor` of the previous page
+         * @param  {number}             [options.timeout]           The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}             [options.headers]           Extra headers to send along
+         * @param  {string}             [options.apiKey]            The API key to make the request with. Overrides the client's API key
+         * @param  {Function}           [callback]                  Standard callback function. When omitted, a Promise is returned instead
+         * @param  {Error}              callback.err                The error object as returned by the REST API. If no error occurred, this value will be `null`
+         * @param  {Object}             callback.data               The page of resources. The resources are in its `results` and its `nextCursor` holds the cursor of the next page or `null` when this is the last page
+         * @return {Promise|Request}                                A Promise for the page of resources when no callback was provided, the in-flight request otherwise
+         */
+        'list': function(options, callback) {
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
+            }
+            options = options || {};
+
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var data = {
+                    'status': options.status,
+                    'since': toISOString(options.since),
+                    'limit': options.limit,
+                    'cursor': options.cursor
+                };
+                return processr._request('GET', '/resources', data, getRequestOptions(options), done);
+            });
+        },
+
+        /**
+         * Iterate over all the resources that were created with the API key. Pages are retrieved
+         * through `list` as the iterator is advanced. The iterator can be used in a `for await` loop
+         * or passed into `Embdr.prototype.processAll`
+         *
+         * @param  {Object}             [options]                   A set of extra options. See `list`
+         * @return {Object}                                         An asynchronous iterator over the resources. Its `next` function rejects with the error object as returned by the REST API when a page could not be retrieved
+         */
+        'iterate': function(options) {
+            options = options || {};
+
+            var buffered = [];
+            var cursor = options.cursor || null;
+            var exhausted = false;
+
+            // Retrieve the next page when all the resources of the current page have been returned
+            var pull = function() {
+                if (!_.isEmpty(buffered)) {
+                    return {'done': false, 'value': buffered.shift()};
+                } else if (exhausted) {
+                    return {'done': true, 'value': undefined};
+                }
+
+                return apis.list(_.extend({}, options, {'cursor': cursor})).then(function(page) {
+                    buffered = page.results || [];
+                    cursor = page.nextCursor || null;
+                    exhausted = !cursor;
+                    return pull();
+                });
+            };
+
+            // Calls to `next` are handled one after the other so no page is retrieved twice
+            var pending = Promise.resolve();
+            var iterator = {
+                'next': function() {
+                    var result = pending.then(pull);
+                    pending = result.catch(_.noop);
+                    return result;
+                }
+            };
+            iterator[Symbol.asyncIterator] = function() {
+                return iterator;
+            };
+            return iterator;
+        },
+
+        /**
+         * Delete a resource and its generated previews
+         *
+         * @param  {string}     id                          The id of the resource that should be deleted
+         * @param  {Object}     [options]                   A set of extra options
+         * @param  {number}     [options.timeout]           The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}     [options.headers]           Extra headers to send along
+         * @param  {string}     [options.apiKey]            The API key to make the request with. Overrides the client's API key
+         * @param  {Function}   [callback]                  Standard callback function. When omitted, a Promise is returned instead
+         * @param  {Error}      callback.err                The error object as returned by the REST API. If no error occurred, this value will be `null`
+         * @return {Promise|Request}                        A Promise that resolves once the resource has been deleted when no callback was provided, the in-flight request otherwise
+         */
+        'delete': function(id, options, callback) {
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
+            }
+            options = options || {};
+
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var url = '/resources/' + ProcessrUtil.encodeURIComponent(id);
+                return processr._request('DELETE', url, null, getRequestOptions(options), function(err) {
+                    return done(err);
+                });
+            });
+        },
+
+        /**
+         * Request additional previews for an existing resource without uploading it again. The
+         * resource becomes `pending` until the new previews have been generated
+         *
+         * @param  {string}     id                              The id of the resource that should be reprocessed
+         * @param  {Object}     [options]                       The previews to generate
+         * @param  {string[]}   [options.thumbnailSizes]        A set of thumbnail dimensions. Each size is of the format {width}x{height}, an object with a `width` and a `height` or the name of a preset
+         * @param  {string[]}   [options.imageSizes]            A set of image dimensions. See `options.thumbnailSizes`
+         * @param  {number}     [options.timeout]               The amount of milliseconds to wait for the REST API to respond. Overrides the client's timeout
+         * @param  {Object}     [options.headers]               Extra headers to send along
+         * @param  {string}     [options.apiKey]                The API key to make the request with. Overrides the client's API key
+         * @param  {Function}   [callback]                      Standard callback function. When omitted, a Promise is returned instead
+         * @param  {Error}      callback.err                    The error object as returned by the REST API. If no error occurred, this value will be `null`
+         * @param  {Object}     callback.data                   The updated resource as returned by the REST API
+         * @return {Promise|Request}                            A Promise for the updated resource when no callback was provided, the in-flight request otherwise
+         * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid
+         */
+        'reprocess': function(id, options, callback) {
+            if (_.isFunction(options)) {
+                callback = options;
+                options = null;
+            }
+            options = options || {};
+            var sizes = getSizes(options);
+
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var url = '/resources/' + ProcessrUtil.encodeURIComponent(id) + '/reprocess';
+                var data = {};
+                addSizes(data, sizes, 'thumbnailSizes');
+                addSizes(data, sizes, 'imageSizes');
+                return processr._request('POST', url, data, getRequestOptions(options), done);
+            });
+        },
+
+        /**
+         * Download a generated preview of a resource. Once the download starts, the returned stream
+         * emits a `response` event with the HTTP response. When the preview is not available or the
+         * download fails, the stream emits an `error` event with an error object
+         *
+         * @param  {Object}     resource            The resource as returned by the REST API
+         * @param  {Object}     options             Which preview should be downloaded
+         * @param  {string}     options.type        The type of the preview. One of `thumbnails` or `images`
+         * @param  {string}     options.size        The size of the preview. For example, `64x64`
+         * @param  {number}     [options.timeout]   The amount of milliseconds to wait for a response. Overrides the client's timeout
+         * @param  {Object}     [options.headers]   Extra headers to send along
+         * @param  {string}     [options.apiKey]    The API key to make the request with. Overrides the client's API key
+         * @return {Stream}                         A readable stream with the preview's data
+         */
+        'download': function(resource, options) {
+            var output = new Stream.PassThrough();
+            var fail = _.once(function(err) {
+                output.emit('error', err);
+            });
+
+            options = options || {};
+            var type = PREVIEW_TYPES[options.type];
+            var preview = _.find(resource[type], {'size': options.size});
+            var previewPath = util.format('/resources/%s/%s/%s', ProcessrUtil.encodeURIComponent(resource.id), type || options.type, ProcessrUtil.encodeURIComponent(options.size));
+            if (!preview || preview.status !== 'done') {
+                process.nextTick(function() {
+                    fail(new EmbdrErrors.EmbdrNotFoundError(util.format('There is no generated %s preview of size %s', options.type, options.size), {'status': 404, 'method': 'GET', 'path': previewPath}));
+                });
+                return output;
+            }
+
+            // Previews are downloaded from the URL the REST API specified for them, if any
+            var previewUrl = preview.url || previewPath;
+            var req = processr._download(previewUrl, getRequestOptions(options));
+            req.on('error', function(err) {
+                fail(new EmbdrErrors.EmbdrNetworkError('Something went wrong trying to download the preview', {'method': 'GET', 'path': previewUrl, 'err': err}));
+            });
+            req.on('response', function(response) {
+                if (response.statusCode >= 400) {
+                    var chunks = [];
+                    req.on('data', function(chunk) {
+                        chunks.push(chunk);
+                    });
+                    req.on('end', function() {
+                        var body = Buffer.concat(chunks).toString('utf8');
+                        try {
+                            body = JSON.parse(body);
+                        } catch (ex) {}
+                        fail(EmbdrErrors.fromResponse('GET', previewUrl, response, body));
+                    });
+                    return;
+                }
+
+                output.emit('response', response);
+                req.pipe(output);
+            });
+            return output;
+        },
+
+        /**
+         * Save all the generated previews of a resource. Previews are saved in the given directory as
+         * `{resourceId}-{thumbnail|image}-{size}.{extension}`. Rather than a directory, a writer
+         * function can be provided which is invoked for each preview with the signature
+         * `function(stream, preview, callback)`. It should invoke its callback with an error object
+         * or the manifest entry for the preview
+         *
+         * @param  {Object}             resource                The resource as returned by the REST API
+         * @param  {string|Function}    dir                     The directory to save the previews in or a writer function. The directory and its parents are created when they don't exist. A partially saved preview is removed when its download fails
+         * @param  {Function}           [callback]              Standard callback function. When omitted, a Promise is returned instead
+         * @param  {Object}             callback.err            An error object when a preview could not be saved
+         * @param  {Object[]}           callback.manifest       An entry for each saved preview with its `type`, `size`, `path`, `bytes` and `contentType`
+         * @return {Promise}                                    A Promise for the manifest when no callback was provided
          */
-        'get': function(id, callback) {
-            var url = '/resources/' + ProcessrUtil.encodeURIComponent(id);
-            return processr._request('GET', url, null, callback);
+        'saveAll': function(resource, dir, callback) {
+            return ProcessrUtil.callbackOrPromise(callback, function(done) {
+                var writer = _.isFunction(dir) ? dir : createFileWriter(dir);
+
+                var previews = [];
+                _.each(['thumbnails', 'images'], function(type) {
+                    _.each(_.filter(resource[type], {'status': 'done'}), function(preview) {
+                        previews.push({'resourceId': resource.id, 'type': type, 'size': preview.size});
+                    });
+                });
+
+                // Save the previews one at a time
+                var manifest = [];
+                var saveNext = function() {
+                    var preview = previews.shift();
+                    if (!preview) {
+                        return done(null, manifest);
+                    }
+
+                    var stream = apis.download(resource, preview);
+                    writer(stream, preview, function(err, entry) {
+                        if (err) {
+                            return done(err);
+                        }
+
+                        manifest.push(entry);
+                        return saveNext();
+                    });
+                };
+                saveNext();
+            });
         }
     };
 
     /*!
-     * Add the given sizes from `options` in the `data` object
+     * Create a writer that saves previews in a directory. The directory is created when it does not
+     * exist yet
+     *
+     * @param  {string}     dir                 The directory to save the previews in
+     * @return {Function}                       The writer
+     */
+    var createFileWriter = function(dir) {
+        return function(stream, preview, callback) {
+            callback = _.once(callback);
+            var file = null;
+            var filePath = null;
+            var failed = false;
+
+            // Remove the partially written file before reporting a failure
+            var fail = _.once(function(err) {
+                failed = true;
+                if (!file) {
+                    return callback(err);
+                }
+
+                stream.unpipe(file);
+                file.on('close', function() {
+                    fs.unlink(filePath, function() {
+                        return callback(err);
+                    });
+                });
+                file.destroy();
+            });
+
+            stream.on('error', fail);
+            stream.on('response', function(response) {
+                var contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+                var filename = util.format('%s-%s-%s.%s', toFilenamePart(preview.resourceId), preview.type.slice(0, -1), toFilenamePart(preview.size), EXTENSIONS[contentType] || 'bin');
+
+                mkdirs(dir, function(mkdirErr) {
+                    if (failed) {
+                        return;
+                    } else if (mkdirErr) {
+                        return fail(new EmbdrErrors.EmbdrStreamError('The directory to save the previews in could not be created', {'err': mkdirErr}));
+                    }
+
+                    var bytes = 0;
+                    stream.on('data', function(chunk) {
+                        bytes += chunk.length;
+                    });
+
+                    filePath = path.join(dir, filename);
+                    file = fs.createWriteStream(filePath);
+                    file.on('error', function(err) {
+                        return fail(new EmbdrErrors.EmbdrStreamError('The preview could not be written to disk', {'err': err}));
+                    });
+                    file.on('finish', function() {
+                        return callback(null, {
+                            'type': preview.type,
+                            'size': preview.size,
+                            'path': filePath,
+                            'bytes': bytes,
+                            'contentType': contentType
+                        });
+                    });
+                    stream.pipe(file);
+                });
+            });
+        };
+    };
+
+    /*!
+     * Create a directory along with any of its parent directories that don't exist yet
+     *
+     * @param  {string}     dir                 The directory to create
+     * @param  {Function}   callback            Standard callback function
+     * @param  {Error}      callback.err        The error object when the directory could not be created
+     */
+    var mkdirs = function(dir, callback) {
+        fs.mkdir(dir, function(err) {
+            if (err && err.code === 'ENOENT') {
+                return mkdirs(path.dirname(dir), function(parentErr) {
+                    if (parentErr) {
+                        return callback(parentErr);
+                    }
+
+                    return mkdirs(dir, callback);
+                });
+            } else if (err && err.code !== 'EEXIST') {
+                return callback(err);
+            }
+
+            return callback();
+        });
+    };
+
+    /*!
+     * Make a value that the REST API returned safe to use in a filename. Path separators are
+     * replaced, so the file can't be written outside of its directory
+     *
+     * @param  {string}     value               The value to use in a filename
+     * @return {string}                         The value without any path separators
+     */
+    var toFilenamePart = function(value) {
+        return String(value).replace(/[\/\\\0]/g, '_');
+    };
+
+    /*!
+     * Normalize the sizes in `options`. This happens before a request is made, so invalid sizes are
+     * reported before anything is uploaded
+     *
+     * @param  {Object}     options             The options that were passed into an API function
+     * @return {Object}                         The normalized `thumbnailSizes` and `imageSizes`
+     * @throws {EmbdrValidationError}           Thrown when one of the sizes is invalid
+     */
+    var getSizes = function(options) {
+        return {
+            'thumbnailSizes': processr._normalizeSizes(options.thumbnailSizes),
+            'imageSizes': processr._normalizeSizes(options.imageSizes)
+        };
+    };
+
+    /*!
+     * Add the given sizes from `sizes` in the `data` object
      *
      * @param {Object}      data            The data object to add the sizes in
-     * @param {Object}      options         The options object to pull the sizes out
+     * @param {Object}      sizes           The normalized sizes as returned by `getSizes`
      * @param {String}      name            The name of the sizes. For example, thumbnailSizes or imageSizes
      */
-    var addSizes = function(data, options, name) {
-        if (!options[name]) {
-            return;
+    var addSizes = function(data, sizes, name) {
+        // Unspecified sizes are left out
+        if (!_.isEmpty(sizes[name])) {
+            data[name] = sizes[name].join(',');
         }
+    };
+
+    /*!
+     * Get the overrides for a single request from a set of options
+     *
+     * @param  {Object}     options             The options that were passed into an API function
+     * @return {Object}                         The `timeout`, `headers`, `apiKey` and `uploadProgress` overrides, if any
+     */
+    var getRequestOptions = function(options) {
+        return _.pick(options, 'timeout', 'headers', 'apiKey', 'uploadProgress');
+    };
 
-        var sizes = options[name]
-        if (_.isArray(sizes)) {
-            sizes = sizes.join(',');
+    /*!
+     * Convert a date to an ISO 8601 string
+     *
+     * @param  {Date|number|string}     [date]          The date to convert. Numbers are treated as milliseconds since the epoch, strings are passed along as is
+     * @return {string}                                 The date as an ISO 8601 string or `undefined` when no date was given
+     */
+    var toISOString = function(date) {
+        if (_.isDate(date)) {
+            return date.toISOString();
+        } else if (_.isNumber(date)) {
+            return new Date(date).toISOString();
         }
-        data[name] = sizes;
+        return date;
+    };
+
+    /*!
+     * Add the given callback URLs from `options` in the `data` object. Each URL is passed along as
+     * a `{event}CallbackUrl` field. For example, `completeCallbackUrl`
+     *
+     * @param {Object}      data            The data object to add the callback URLs in
+     * @param {Object}      options         The options object to pull the callback URLs out
+     */
+    var addCallbackUrls = function(data, options) {
+        _.each(options.callbackUrls, function(callbackUrl, event) {
+            data[event + 'CallbackUrl'] = callbackUrl;
+        });
     };
 
     return apis;
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+module.exports = MemoryCache;
+
+/**
+ * A cache that keeps its entries in memory. Entries don't survive a restart of the process, use a
+ * custom cache for that.
+ *
+ * The cache maps the content of uploaded files to the resources that were created for them, see
+ * `Embdr.prototype.setCache`. Any object that implements the following functions can be used as
+ * a cache:
+ *
+ *  - `get(key, callback)`:             Pass the value for the key to the callback as its second argument, or `null` when there is no value or it has expired
+ *  - `set(key, value, ttl, callback)`: Create or replace the value for the key. It expires after `ttl` milliseconds, or never when `ttl` is `null`
+ *  - `remove(key, callback)`:          Remove the value for the key
+ *
+ * Each callback is a standard callback function that takes an error object as its first argument.
+ * Values are JSON-serializable objects.
+ *
+ * @constructor
+ */
+function MemoryCache() {
+    // The entries, keyed by their key. Each entry holds the value and the time at which it expires
+    this._entries = {};
+}
+
+/**
+ * Get a value
+ *
+ * @param  {string}     key                 The key of the value
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ * @param  {Object}     callback.value      The value or `null` when there is no value or it has expired
+ */
+MemoryCache.prototype.get = function(key, callback) {
+    var entry = this._entries[key];
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        delete this._entries[key];
+        entry = null;
+    }
+
+    var value = entry ? _.cloneDeep(entry.value) : null;
+    process.nextTick(function() {
+        return callback(null, value);
+    });
+};
+
+/**
+ * Create or replace a value
+ *
+ * @param  {string}     key                 The key of the value
+ * @param  {Object}     value               The value
+ * @param  {number}     [ttl]               The amount of milliseconds after which the value expires. When `null`, the value never expires
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+MemoryCache.prototype.set = function(key, value, ttl, callback) {
+    this._entries[key] = {
+        'value': _.cloneDeep(value),
+        'expiresAt': ttl ? Date.now() + ttl : null
+    };
+    process.nextTick(callback);
+};
+
+/**
+ * Remove a value
+ *
+ * @param  {string}     key                 The key of the value
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+MemoryCache.prototype.remove = function(key, callback) {
+    delete this._entries[key];
+    process.nextTick(callback);
+};
@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var minimist = require('minimist');
+
+var Embdr = require('./embdr');
+
+var USAGE = [
+    'Usage: embdr <command> [options]',
+    '',
+    'Commands:',
+    '  process <path|url|->     Process a file, a link or the data on stdin',
+    '  get <id>                 Print a resource',
+    '  watch <id>               Poll a resource until it is no longer pending',
+    '',
+    'Options:',
+    '  --thumbnails <sizes>     A comma-separated list of thumbnail sizes. For example, 64x64,256x256',
+    '  --images <sizes>         A comma-separated list of image preview sizes. For example, 768x',
+    '  --api-key <key>          The API key. Defaults to $EMBDR_API_KEY',
+    '  --url <url>              The URL of the REST API. For example, https://embdr.io/api. Defaults to $EMBDR_URL',
+    '  --host <host>            The host of the REST API. Defaults to $EMBDR_HOST or ' + Embdr.DEFAULT_HOST,
+    '  --port <port>            The port of the REST API. Defaults to $EMBDR_PORT or ' + Embdr.DEFAULT_PORT,
+    '  --protocol <protocol>    The protocol of the REST API. Defaults to $EMBDR_PROTOCOL or ' + Embdr.DEFAULT_PROTOCOL,
+    '  --base-path <path>       The base path of the REST API. Defaults to $EMBDR_BASE_PATH or ' + Embdr.DEFAULT_BASE_PATH,
+    '  --no-strict-ssl          Don\'t fail on SSL errors. Can also be set with EMBDR_STRICT_SSL=false',
+    '  --debug                  Print each request to stderr',
+    '  --help                   Print this message',
+    '',
+    'Progress is printed as newline-delimited JSON. The command exits with a non-zero status code',
+    'when the REST API could not be reached or when the resource or any of its previews could not be processed.'
+].join('\n');
+
+// The exit codes of the command
+var EXIT_OK = 0;
+var EXIT_FAILURE = 1;
+var EXIT_USAGE = 2;
+
+/**
+ * Run the command-line tool
+ *
+ * @param  {string[]}   argv                The command-line arguments, excluding the node executable and the script
+ * @param  {Object}     io                  The environment the tool runs in
+ * @param  {Object}     io.env              The environment variables
+ * @param  {Stream}     io.stdin            The stream to read data from when processing `-`
+ * @param  {Stream}     io.stdout           The stream to print output to
+ * @param  {Stream}     io.stderr           The stream to print errors to
+ * @param  {Function}   callback            Invoked when the tool is done
+ * @param  {number}     callback.code       The exit code
+ */
+module.exports.run = function(argv, io, callback) {
+    var args = minimist(argv, {
+        'string': ['thumbnails', 'images', 'api-key', 'url', 'host', 'port', 'protocol', 'base-path'],
+        'boolean': ['help', 'strict-ssl', 'debug'],
+        'default': {'strict-ssl': true}
+    });
+    var command = args._[0];
+    var target = args._[1];
+
+    if (args.help) {
+        io.stdout.write(USAGE + '\n');
+        return callback(EXIT_OK);
+    } else if (!_.contains(['process', 'get', 'watch'], command) || !target) {
+        io.stderr.write(USAGE + '\n');
+        return callback(EXIT_USAGE);
+    }
+
+    var embdr = createClient(args, io);
+    var print = function(event, data) {
+        io.stdout.write(JSON.stringify(_.extend({'event': event}, data)) + '\n');
+    };
+
+    if (command === 'get') {
+        return embdr.resources.get(String(target), function(err, resource) {
+            if (err) {
+                print('error', {'error': err});
+                return callback(EXIT_FAILURE);
+            }
+
+            io.stdout.write(JSON.stringify(resource) + '\n');
+            return callback(EXIT_OK);
+        });
+    }
+
+    var handle = null;
+    if (command === 'process') {
+        var item = (target === '-') ? io.stdin : String(target);
+        try {
+            handle = embdr.process(item, {
+                'thumbnails': {'sizes': parseSizes(args.thumbnails)},
+                'images': {'sizes': parseSizes(args.images)}
+            });
+        } catch (err) {
+            // One of the sizes is invalid
+            print('error', {'error': err});
+            return callback(EXIT_USAGE);
+        }
+    } else {
+        handle = embdr.watch(String(target));
+    }
+
+    handle.on('start', function(resource) {
+        print('start', {'resource': resource});
+    });
+    handle.on('progress', function(resource) {
+        print('progress', {'resource': resource});
+    });
+    handle.on('thumbnails', function(thumbnails) {
+        print('thumbnails', {'thumbnails': thumbnails});
+    });
+    handle.on('images', function(images) {
+        print('images', {'images': images});
+    });
+    handle.then(function(resource) {
+        print('complete', {'resource': resource});
+        return callback(isProcessed(resource) ? EXIT_OK : EXIT_FAILURE);
+    }, function(err) {
+        print('error', {'error': err});
+        return callback(EXIT_FAILURE);
+    });
+};
+
+/*!
+ * Create an Embdr client. Each setting is taken from the command-line arguments and falls back to
+ * the `EMBDR_*` environment variables
+ *
+ * @param  {Object}     args                The parsed command-line arguments
+ * @param  {Object}     io                  The environment the tool runs in. See `run`
+ * @return {Embdr}                          The Embdr client
+ */
+var createClient = function(args, io) {
+    var env = io.env;
+    var setting = function(name, envName) {
+        return args[name] || env[envName] || null;
+    };
+
+    var embdr = new Embdr({
+        'apiKey': setting('api-key', 'EMBDR_API_KEY'),
+        'baseUrl': setting('url', 'EMBDR_URL'),
+        'debug': args.debug && function(line) {
+            io.stderr.write(line + '\n');
+        }
+    });
+    if (setting('host', 'EMBDR_HOST')) {
+        embdr.setHost(setting('host', 'EMBDR_HOST'));
+    }
+    if (setting('port', 'EMBDR_PORT')) {
+        embdr.setPort(setting('port', 'EMBDR_PORT'));
+    }
+    if (setting('protocol', 'EMBDR_PROTOCOL')) {
+        embdr.setProtocol(setting('protocol', 'EMBDR_PROTOCOL'));
+    }
+    if (setting('base-path', 'EMBDR_BASE_PATH')) {
+        embdr.setBasePath(setting('base-path', 'EMBDR_BASE_PATH'));
+    }
+    embdr.setStrictSSL(args['strict-ssl'] && env.EMBDR_STRICT_SSL !== 'false');
+    return embdr;
+};
+
+/*!
+ * Check whether a resource and all of its previews were processed successfully
+ *
+ * @param  {Object}     resource            The resource to check
+ * @return {boolean}                        Whether the resource and all of its previews are `done`
+ */
+var isProcessed = function(resource) {
+    var previews = (resource.thumbnails || []).concat(resource.images || []);
+    return (resource.status === 'done' && _.every(previews, {'status': 'done'}));
+};
+
+/*!
+ * Parse a comma-separated list of sizes
+ *
+ * @param  {string}     sizes               The comma-separated list of sizes. For example, `64x64,256x256`
+ * @return {string[]}                       The sizes or `undefined` when no sizes were specified
+ */
+var parseSizes = function(sizes) {
+    if (!sizes) {
+        return undefined;
+    }
+    return _.chain(sizes.split(','))
+        .invoke('trim')
+        .compact()
+        .value();
+};
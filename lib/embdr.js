@@ -5,12 +5,44 @@
 'use strict';
 
 var _ = require('lodash');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var glob = require('glob');
+var Path = require('path');
 var request = require('request');
 var Stream = require('stream');
+var url = require('url');
 var util = require('util');
 
+var EmbdrErrors = require('./errors');
+var FetchUtil = require('./fetch');
+var FileStore = require('./stores/file');
+var HashUtil = require('./hash');
+var MemoryCache = require('./caches/memory');
+var MemoryStore = require('./stores/memory');
+var Middleware = require('./middleware');
+var ProcessingHandle = require('./handle');
+var ProcessrUtil = require('./util');
+var Queue = require('./queue');
+var RetryUtil = require('./retry');
+var Scheduler = require('./scheduler');
+var Sizes = require('./sizes');
+var Webhooks = require('./webhooks');
+
+var packageVersion = require('../package.json').version;
+
 module.exports = Embdr;
 
+// The job stores that ship with the client. See `setStore`
+Embdr.MemoryStore = MemoryStore;
+Embdr.FileStore = FileStore;
+
+// The cache that ships with the client. See `setCache`
+Embdr.MemoryCache = MemoryCache;
+
+// The errors the client returns. See `lib/errors.js`
+_.extend(Embdr, _.omit(EmbdrErrors, 'fromResponse'));
+
 // Default the host settings where the Embdr API can be reached
 Embdr.DEFAULT_HOST = 'embdr.io';
 Embdr.DEFAULT_PORT = '80';
@@ -18,30 +50,153 @@ Embdr.DEFAULT_PROTOCOL = 'http';
 Embdr.DEFAULT_STRICT_SSL = true;
 Embdr.DEFAULT_BASE_PATH = '/api';
 
-// The amount of milliseconds that should be waited before getting a resource's metadata
-// when starting to poll a newly created resource
-Embdr.DEFAULT_POLLING_INITIAL_TIMEOUT = 2000;
+// The User-Agent header that is sent along with each request
+Embdr.DEFAULT_USER_AGENT = 'node-embdr/' + packageVersion;
+
+// The events that are emitted on a processing handle when a preview of a type is ready
+var PREVIEW_EVENTS = {
+    'thumbnails': 'thumbnail:ready',
+    'images': 'image:ready'
+};
+
+// The state a client that is scoped to a tenant shares with the client it was created from. The
+// setters replace these rather than changing them, so they are always read from and written to the
+// root client. This includes the state of the event emitter
+var SHARED_STATE = ['_store', '_cache', '_interceptors', '_events', '_eventsCount', '_maxListeners'];
 
-// The poller will gradually increase the time-out as it waits for pending processors to finish. It
-// does this by adding a fraction of the previous polling time-out. For example, assume:
-//  - an initial time-out of 2000ms
-//  - a back-off denominator of 4
-// The poller time-outs (in seconds) between two consecutive resource checks looks like:
-// 2, 3, 3, 4, 5, 6, 8, 10, 12, 15, 19, 23, 29, ...
-Embdr.DEFAULT_POLLING_BACKOFF_DENOMINATOR = 4;
+// The ports that are used when a base URL doesn't specify one
+var DEFAULT_PORTS = {
+    'http': '80',
+    'https': '443'
+};
+
+// A newly created resource is first polled after `initialDelay` milliseconds. The poller gradually
+// backs off as it waits for pending processors to finish by multiplying the delay with
+// `backoffFactor` after each poll, up to `maxInterval` milliseconds. With the defaults, the delays
+// (in seconds) between two consecutive resource checks look like:
+// 2, 2.5, 3, 4, 5, 6, 7.5, 9.5, 12, 15, 18.5, 23, 29, 30, 30, ...
+// A resource that is still pending `deadline` milliseconds after processing started fails with an
+// `EmbdrTimeoutError`. No more than `concurrency` resources are checked at the same time. The
+// polling timers keep the process alive until the resources have been processed, unless `unref` is
+// set. See `setPolling`
+Embdr.DEFAULT_POLLING = {
+    'initialDelay': 2000,
+    'backoffFactor': 1.25,
+    'maxInterval': 30000,
+    'deadline': null,
+    'concurrency': 10,
+    'unref': false
+};
+
+// The polling settings used to be configured through the following statics. They are deprecated
+// in favour of `Embdr.DEFAULT_POLLING` and read from and write to it:
+//  - `DEFAULT_POLLING_INITIAL_TIMEOUT`:        The `initialDelay` in milliseconds
+//  - `DEFAULT_POLLING_BACKOFF_DENOMINATOR`:    The fraction of the previous delay that is added after each poll, as its denominator. A denominator of 4 is a `backoffFactor` of 1.25
+//  - `MAX_POLLING_TIMEOUT`:                    The `maxInterval` in milliseconds
+Object.defineProperties(Embdr, {
+    'DEFAULT_POLLING_INITIAL_TIMEOUT': {
+        'enumerable': true,
+        'get': function() {
+            return Embdr.DEFAULT_POLLING.initialDelay;
+        },
+        'set': function(initialDelay) {
+            Embdr.DEFAULT_POLLING.initialDelay = initialDelay;
+        }
+    },
+    'DEFAULT_POLLING_BACKOFF_DENOMINATOR': {
+        'enumerable': true,
+        'get': function() {
+            return 1 / (Embdr.DEFAULT_POLLING.backoffFactor - 1);
+        },
+        'set': function(denominator) {
+            Embdr.DEFAULT_POLLING.backoffFactor = 1 + (1 / denominator);
+        }
+    },
+    'MAX_POLLING_TIMEOUT': {
+        'enumerable': true,
+        'get': function() {
+            return Embdr.DEFAULT_POLLING.maxInterval;
+        },
+        'set': function(maxInterval) {
+            Embdr.DEFAULT_POLLING.maxInterval = maxInterval;
+        }
+    }
+});
 
-// The maximum amount of time the poller should wait when polling the Embdr API
-Embdr.MAX_POLLING_TIMEOUT = 30;
+// The amount of milliseconds for which a cached resource is used for identical content. See `setCache`
+Embdr.DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// By default, only idempotent GET requests are retried. A failed request is retried when the REST
+// API could not be reached or when it responded with one of the given status codes. The delay
+// between two attempts starts at `minDelay` milliseconds and is multiplied by `factor` after each
+// attempt. Streams are either buffered in memory, spooled to a temporary file or cause the
+// request to fail when a retry is needed
+Embdr.DEFAULT_RETRY = {
+    'maxAttempts': 3,
+    'methods': ['GET'],
+    'statusCodes': [429, 502, 503, 504],
+    'minDelay': 500,
+    'maxDelay': 30000,
+    'factor': 2,
+    'streams': 'fail'
+};
+
+// When the REST API can't reach a link, the client fetches the link itself and uploads its content.
+// By default any public host can be fetched, while unspecified, loopback, private and link-local
+// addresses are denied. Redirects, the size of the content and the time the link can take to
+// respond are limited. See `setLinkFallback`
+Embdr.DEFAULT_LINK_FALLBACK = {
+    'enabled': true,
+    'allow': null,
+    'deny': [
+        '0.0.0.0/8', '10.0.0.0/8', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16',
+        '::/128', '::1/128', 'fc00::/7', 'fe80::/10'
+    ],
+    'maxRedirects': 5,
+    'maxBytes': 100 * 1024 * 1024,
+    'timeout': 30000,
+    'headers': null,
+    'cookies': null
+};
 
 /**
- * Create a new Embdr instance
+ * Create a new Embdr instance. The instance emits a `retry` event each time a failed request is
+ * retried, a `storeError` event when the job store could not be updated and a `cacheError` event
+ * when the cache could not be used. A `linkFallback` event is emitted each time a link the REST API
+ * could not reach is fetched by the client instead, see `setLinkFallback`. A `metric` event is
+ * emitted for each request, for each time a resource is polled and once a resource has been
+ * processed. Each metric has a `name`:
+ *
+ *  - `request`:    An HTTP request finished. It holds the `method`, `path`, `status` (`null` when there was no response) and `duration` in milliseconds
+ *  - `poll`:       A resource was polled. It holds the resource's `id` and the amount of times it has been polled (`polls`)
+ *  - `process`:    Processing a resource stopped. It holds the resource's `id`, the `outcome` (`complete`, `error` or `cancelled`), the amount of times it was polled (`polls`) and the `duration` in milliseconds since processing started
+ *
+ * When no API key or base URL is specified, they are taken from the `EMBDR_API_KEY` and
+ * `EMBDR_URL` environment variables
  *
  * @constructor
- * @param {string}      key     The API key that allows for uploading to the Embdr REST API
+ * @param {Object|string}     [options]               The API key that allows for uploading to the Embdr REST API or a set of options
+ * @param {string}            [options.apiKey]        The API key that allows for uploading to the Embdr REST API
+ * @param {string}            [options.baseUrl]       The URL on which the REST API can be reached. For example, `https://embdr.io/api`
+ * @param {number}            [options.timeout]       The amount of milliseconds to wait for the REST API to respond before a request fails. By default, requests don't time out
+ * @param {string}            [options.proxy]         The URL of the HTTP proxy requests should be sent through. For example, `http://proxy.example.com:3128`
+ * @param {Agent}             [options.agent]         The `http.Agent` or `https.Agent` requests should be sent with. Pass in an agent with `keepAlive` to re-use connections
+ * @param {boolean}           [options.strictSSL]     Whether SSL errors should cause a request to fail. Defaults to `Embdr.DEFAULT_STRICT_SSL`
+ * @param {string}            [options.userAgent]     The User-Agent header to send along with each request. Defaults to `Embdr.DEFAULT_USER_AGENT`
+ * @param {Object}            [options.sizePresets]   Named sizes that can be used in place of a size. See `setSizePresets`
+ * @param {Object}            [options.polling]       How resources are polled. See `setPolling`
+ * @param {Object|boolean}    [options.linkFallback]  How links the REST API can't reach are fetched. See `setLinkFallback`
+ * @param {boolean|Function}  [options.debug]         Log the method, URL, status, duration and headers of each request. The Authorization header is redacted. When this is a function, it's passed each line rather than printing it to stderr
+ * @param {Object}            [options.tenants]       The API keys of the tenants, keyed by the tenant's name. See `addTenant`
  */
-function Embdr(key) {
+function Embdr(options) {
     if (!(this instanceof Embdr)) {
-        return new Embdr(key);
+        return new Embdr(options);
+    }
+    EventEmitter.call(this);
+
+    if (!_.isObject(options)) {
+        options = {'apiKey': options};
     }
 
     this._api = {
@@ -49,12 +204,58 @@ function Embdr(key) {
         'host': Embdr.DEFAULT_HOST,
         'port': Embdr.DEFAULT_PORT,
         'basePath': Embdr.DEFAULT_BASE_PATH,
-        'protocol': Embdr.DEFAULT_PROTOCOL
+        'protocol': Embdr.DEFAULT_PROTOCOL,
+        'strictSSL': _.has(options, 'strictSSL') ? options.strictSSL : Embdr.DEFAULT_STRICT_SSL,
+        'timeout': options.timeout || null,
+        'proxy': options.proxy || null,
+        'agent': options.agent || null,
+        'userAgent': options.userAgent || Embdr.DEFAULT_USER_AGENT
     };
 
-    this.setApiKey(key);
+    this._retry = _.clone(Embdr.DEFAULT_RETRY);
+    this._polling = _.clone(Embdr.DEFAULT_POLLING);
+    this._scheduler = new Scheduler(this._polling);
+    this._linkFallback = {};
+    this._store = new MemoryStore();
+    this._cache = null;
+    this._sizePresets = {};
+    this._interceptors = [];
+
+    // The registered tenants, keyed by their name, and the tenant a scoped client makes its
+    // requests for. See `forTenant`
+    this._tenants = {};
+    this._tenant = null;
+    this._root = null;
+    this._debug = null;
+    if (options.debug) {
+        this._debug = _.isFunction(options.debug) ? options.debug : function(line) {
+            process.stderr.write(line + '\n');
+        };
+    }
+
+    this.setApiKey(options.apiKey || process.env.EMBDR_API_KEY);
+
+    var baseUrl = options.baseUrl || process.env.EMBDR_URL;
+    if (baseUrl) {
+        this.setBaseUrl(baseUrl);
+    }
+    if (options.sizePresets) {
+        this.setSizePresets(options.sizePresets);
+    }
+    if (options.polling) {
+        this.setPolling(options.polling);
+    }
+    this.setLinkFallback(Embdr.DEFAULT_LINK_FALLBACK);
+    if (_.has(options, 'linkFallback')) {
+        this.setLinkFallback(options.linkFallback);
+    }
+    _.each(options.tenants, function(apiKey, name) {
+        this.addTenant(name, apiKey);
+    }, this);
+
     this._exposeApis();
 }
+util.inherits(Embdr, EventEmitter);
 
 /**
  * Process an item
@@ -65,130 +266,811 @@ function Embdr(key) {
  * @param  {Function|string}        options.error                       Called when the REST API could not be reached. Its only argument is the error object explaining what went wrong. If this is a string, it's assumed it's a callback URL where the data should be posted to
  * @param  {Function|string}        options.complete                    Called when the item has been fully processed and all previews have been generated. If this is a string, it's assumed it's a callback URL where the data should be posted to
  * @param  {Object}                 options.images                      The image previews
- * @param  {string[]}               options.images.sizes                The sizes for the image previews. This should be a comma-separated list of sizes of the format {width}x{height}. When one dimension is specified, the image will be scaled appropriately For example, ['1200x', 'x600']
- * @param  {Function}               options.images.complete             Called when all the image previews have been processed. If this is a string, it's assumed it's a callback URL where the data should be posted to
+ * @param  {string[]}               options.images.sizes                The sizes for the image previews. Each size is of the format {width}x{height}, an object with a `width` and a `height` or the name of a preset. When one dimension is specified, the image will be scaled appropriately. For example, ['1200x', 'x600']
+ * @param  {Function|string}        options.images.complete             Called when all the image previews have been processed. It's passed the image previews and an object that lists the sizes that `succeeded` and `failed`. If this is a string, it's assumed it's a callback URL where the data should be posted to
  * @param  {Object}                 options.thumbnails                  The thumbnail options
- * @param  {string[]}               options.thumbnails.sizes            The sizes for the thumbnails. This should be a comma-separated list of thumbnail sizes of the format {width}x{height}. For example, ['32x32', '256×256']
- * @param  {Function}               options.thumbnails.complete         Called when all the thumbnails have been processed. If this is a string, it's assumed it's a callback URL where the data should be posted to
+ * @param  {string[]}               options.thumbnails.sizes            The sizes for the thumbnails. Each size is of the format {width}x{height}, an object with a `width` and a `height` or the name of a preset. For example, ['32x32', '256x256']
+ * @param  {Function|string}        options.thumbnails.complete         Called when all the thumbnails have been processed. It's passed the thumbnails and an object that lists the sizes that `succeeded` and `failed`. If this is a string, it's assumed it's a callback URL where the data should be posted to
+ * @param  {string|Function}        [options.download]                  Save the generated previews once the item has been fully processed. This is either a directory or a writer function, see `resources.saveAll`. The manifest of saved previews is passed to `options.complete` as its second argument
+ * @param  {Function}               [options.webhooks]                  A handler created through `Embdr.webhookHandler`. When specified, the notifications it receives for the created resource are dispatched to the processing handle. This allows the handle to settle when `options.complete` is a callback URL
+ * @param  {string}                 [options.handler]                   The name of the handler that should be notified when the resource is resumed after a restart. See `resume`. Defaults to `default`
+ * @param  {string}                 [options.key]                       A correlation key that is recorded in the job store. It's passed along to the handler when the resource is resumed, so the resource can be tied back to the caller's own data
+ * @param  {boolean}                [options.forceUpload]               Upload the item even when its content was processed before with the same sizes. The cache is updated with the new resource. See `setCache`
+ * @param  {string}                 [options.filename]                  The filename to upload the item with. See `resources.createFile`
+ * @param  {string}                 [options.contentType]               The content type to upload the item with. By default, it's detected. See `resources.createFile`
+ * @param  {number}                 [options.maxBytes]                  The maximum size of the uploaded item in bytes. See `resources.createFile`
+ * @param  {string[]}               [options.allowedTypes]              The content types the uploaded item can have. For example, `['image/*', 'application/pdf']`. See `resources.createFile`
+ * @param  {string}                 [options.apiKey]                    The API key to process the item with rather than the client's. All requests for the item, including the polls, are made with it. See `withApiKey`
+ * @param  {number}                 [options.timeout]                   The amount of milliseconds to wait for the REST API to respond to each request for the item, including the polls. Overrides the client's timeout
+ * @param  {Object}                 [options.headers]                   Extra headers to send along with each request for the item, including the polls
+ * @return {ProcessingHandle}                                           A handle that emits the processing events and can be used to cancel processing. It can be awaited like a Promise that is resolved with the fully processed resource, or rejected with the same error object that is passed to `options.error`
+ * @throws {EmbdrValidationError}                                       Thrown when one of the sizes is invalid. Nothing is uploaded in that case
  */
 Embdr.prototype.process = function(item, options) {
     var self = this;
     options = options || {};
+    if (options.apiKey) {
+        return self.withApiKey(options.apiKey).process(item, _.omit(options, 'apiKey'));
+    }
     options.images = options.images || {};
     options.thumbnails = options.thumbnails || {};
 
-    var hasPollingCallbacks = (options.complete || options.images.complete || options.thumbnails.complete);
+    // Validate the sizes before anything is uploaded
+    var sizes = self._getProcessSizes(options);
 
-    // Default the callbacks
-    options.start = options.start || function() {};
-    options.error = options.error || function() {};
-    options.complete = options.complete || function() {};
-    options.images.complete = options.images.complete || function() {};
-    options.thumbnails.complete = options.thumbnails.complete || function() {};
+    var handle = new ProcessingHandle(this._scheduler);
+    handle._requestOptions = _.pick(options, 'timeout', 'headers');
 
-    // TODO: Pass along callback URLs when provided
+    // Callbacks that are strings are callback URLs. These are passed along to the REST API which
+    // will post its notifications to them
+    var callbackUrls = _.pick({
+        'start': options.start,
+        'error': options.error,
+        'complete': options.complete,
+        'images': options.images.complete,
+        'thumbnails': options.thumbnails.complete
+    }, _.isString);
 
-    // Build up the set of callbacks and run each callback through `_.once`. This will ensure
-    // that we don't accidentally notify the user twice
-    var callbacks = {
-        'start': _.once(options.start),
-        'error': _.once(options.error),
-        'complete': _.once(options.complete),
-        'images': _.once(options.images.complete),
-        'thumbnails': _.once(options.thumbnails.complete)
-    };
+    var callbacks = self._createCallbacks(handle, options);
 
-    // Determine whether the client wants to create a file or a link. Note that a string-item
-    // is only considered a link if it starts with `http`. We assume it's a path on disk otherwise
-    var creator = this.resources.createFile;
-    if (_.isString(item) && item.substr(0, 4) === 'http') {
-        creator = this.resources.createLink;
-    }
+    // Create a resource for the given item. The progress of an upload is emitted on the handle
+    var createOptions = _.extend({
+        'thumbnailSizes': sizes.thumbnailSizes,
+        'imageSizes': sizes.imageSizes,
+        'callbackUrls': callbackUrls,
+        'uploadProgress': function(progress) {
+            if (!handle.cancelled) {
+                handle.emit('uploadProgress', progress);
+            }
+        }
+    }, handle._requestOptions, _.pick(options, 'filename', 'contentType', 'maxBytes', 'allowedTypes'));
+
+    // Polling is not necessary when the REST API will post to callback URLs for the completion
+    // of the thumbnails, the image previews and the resource itself
+    var shouldPoll = !(callbackUrls.complete && callbackUrls.images && callbackUrls.thumbnails);
+    var create = function(createItem, extraOptions) {
+        // Determine whether the client wants to create a file or a link. Note that a string-item
+        // is only considered a link if it starts with `http`. We assume it's a path on disk otherwise
+        var creator = self.resources.createFile;
+        if (_.isString(createItem) && createItem.substr(0, 4) === 'http') {
+            creator = self.resources.createLink;
+        }
+
+        var createRequest = handle._track(creator(createItem, _.extend({}, createOptions, extraOptions), function(createError, createdResource) {
+            handle._untrack(createRequest);
+            if (handle.cancelled) {
+                return;
+            }
+
+            if (createError) {
+                // If the Embdr API can't reach the link it might be because the link is pointing inside
+                // of a private subnet which is only accessible from a DMZ or to a resource running on
+                // the server itself. In those cases, we let the client request the resource and
+                // upload it to the Embdr API manually
+                if (createError instanceof EmbdrErrors.EmbdrLinkUnreachableError && self._linkFallback.enabled) {
+                    return fallback(createItem);
 
-    // Create a resource for the given item
-    var createOptions = {
-        'thumbnailSizes': options.thumbnails.sizes,
-        'imageSizes': options.images.sizes
+                // Something else went wrong, we'll need to pass this on to the caller
+                } else {
+                    return callbacks.error(createError);
+                }
+            }
+
+            cache.record(createdResource);
+            return started(createdResource);
+        }));
     };
-    creator(item, createOptions, function(createError, createdResource) {
-        if (createError) {
-            // If the Embdr API can't reach the link it might be because the link is pointing inside
-            // of a private subnet which is only accessible from a DMZ or to a resource running on
-            // the server itself. In those cases, we let the client request the resource and
-            // upload it to the Embdr API manually
-            if (createError.code === 400 && createError.message === 'Unable to handle a link because it could not be reached') {
-                return self.process(request(item), options);
-
-            // Something else went wrong, we'll need to pass this on to the caller
-            } else {
-                return callbacks.error(createError);
+
+    // Fetch a link the REST API can't reach and upload its content instead. The fetch request is
+    // tracked until processing stops, so cancelling the handle also stops reading from the link
+    var fallback = function(link) {
+        var fetchRequest = handle._track(FetchUtil.fetch(link, self._linkFallback, function(fetchErr, fetched) {
+            self.emit('linkFallback', {
+                'link': link,
+                'url': fetched.url,
+                'status': fetched.status,
+                'err': fetchErr || null
+            });
+            if (fetchErr) {
+                handle._untrack(fetchRequest);
+                return callbacks.error(fetchErr);
             }
+
+            var maxBytes = _.min(_.compact([options.maxBytes, self._linkFallback.maxBytes]));
+            return create(fetched.stream, {
+                'filename': options.filename || Path.basename(url.parse(fetched.url).pathname || '') || undefined,
+                'maxBytes': _.isFinite(maxBytes) ? maxBytes : undefined
+            });
+        }));
+    };
+
+    // Continue with a resource that was created for the item. Unless the REST API notifies the
+    // callback URLs, the resource is polled until it has been fully processed
+    var started = function(createdResource) {
+        // Dispatch the notifications for the resource to the callbacks when a webhook handler
+        // was provided. Any notification that was already picked up by polling is ignored
+        if (options.webhooks) {
+            options.webhooks.register(createdResource.id, callbacks);
         }
 
         // Indicate that the resource has been created and it's scheduled for processing
         callbacks.start(createdResource);
 
         // The REST API will let us know immediately whether it can or cannot process content. In
-        // case it cannot, we can complete immediately and there's no need to do any polling
+        // case it cannot, or when the resource was taken from the cache and has already been
+        // processed, we can complete immediately and there's no need to do any polling. The
+        // previews are reported the same way polling would have reported them
         if (createdResource.status !== 'pending') {
+            _.each(['thumbnails', 'images'], function(type) {
+                if (!_.find(createdResource[type], {'status': 'pending'})) {
+                    callbacks[type](createdResource[type]);
+                }
+            });
             return callbacks.complete(createdResource);
         }
 
-        // If no polling callbacks were provided, we can stop here
-        if (!hasPollingCallbacks) {
+        // When the REST API notifies the callback URLs there's no need to poll. Unless the
+        // notifications are received through a webhook handler, there's no way of knowing when
+        // the resource is done so the handle is settled with the created resource
+        if (!shouldPoll) {
+            if (!options.webhooks) {
+                handle._resolve(createdResource);
+            }
             return;
         }
 
-        // Get the polling time-out, each polling run will increment the timeout
-        var pollingTimeout = Embdr.DEFAULT_POLLING_INITIAL_TIMEOUT;
+        // Start polling the resource for state changes. The resource is recorded in the job
+        // store so polling can be resumed when the process restarts
+        handle.job = {
+            'id': createdResource.id,
+            'key': options.key || null,
+            'handler': options.handler || 'default',
+            'thumbnailSizes': sizes.thumbnailSizes || [],
+            'imageSizes': sizes.imageSizes || [],
+            'polling': {
+                'timeout': self._polling.initialDelay,
+                'nextPollAt': null
+            },
+            'notified': [],
+            'previews': handle._previews,
+            'tenant': self._tenant ? self._tenant.name : null,
+            'createdAt': handle._startedAt
+        };
+        self._poll(handle, createdResource.id, callbacks, self._polling.initialDelay);
+    };
 
-        // TODO: Don't poll if callback URLs are provided
+    // When the content of the item was processed before with the same sizes, the resource that was
+    // created back then is used rather than uploading the item again
+    var cache = self._lookupCache(handle, item, sizes, options.forceUpload, function(lookupErr, cachedResource) {
+        if (handle.cancelled) {
+            return;
+        } else if (lookupErr) {
+            return callbacks.error(lookupErr);
+        } else if (cachedResource) {
+            handle.cached = true;
+            return started(cachedResource);
+        }
 
-        var poll = function() {
-            // Get the resource's new metadata
-            self.resources.get(createdResource.id, function(err, resource) {
-                if (err) {
-                    return callbacks.error(err);
-                }
+        return create(cache.item);
+    });
+    return handle;
+};
 
-                // Check thumbnails
-                var thumbnailsDone = _.chain(resource.thumbnails)
-                    .filter({'status': 'pending'})
-                    .isEmpty()
-                    .value();
-                if (thumbnailsDone) {
-                    callbacks.thumbnails(resource.thumbnails);
-                }
+/**
+ * Watch a resource that has already been created until it has been fully processed
+ *
+ * @param  {string}                 id                                  The id of the resource to watch
+ * @param  {Object}                 [options]                           The callbacks
+ * @param  {Function}               [options.error]                     Called when the REST API could not be reached. Its only argument is the error object explaining what went wrong
+ * @param  {Function}               [options.complete]                  Called when the resource has been fully processed and all previews have been generated
+ * @param  {Object}                 [options.images]                    The image preview options
+ * @param  {Function}               [options.images.complete]           Called when all the image previews have been processed
+ * @param  {Object}                 [options.thumbnails]                The thumbnail options
+ * @param  {Function}               [options.thumbnails.complete]       Called when all the thumbnails have been processed
+ * @param  {string|Function}        [options.download]                  Save the generated previews once the resource has been fully processed. See `process`
+ * @param  {string}                 [options.apiKey]                    The API key to watch the resource with rather than the client's. See `withApiKey`
+ * @param  {number}                 [options.timeout]                   The amount of milliseconds to wait for the REST API to respond to each poll. Overrides the client's timeout
+ * @param  {Object}                 [options.headers]                   Extra headers to send along with each poll
+ * @return {ProcessingHandle}                                           A handle that emits the processing events and can be used to stop watching the resource. See `process`
+ */
+Embdr.prototype.watch = function(id, options) {
+    options = options || {};
+    if (options.apiKey) {
+        return this.withApiKey(options.apiKey).watch(id, _.omit(options, 'apiKey'));
+    }
+    options.images = options.images || {};
+    options.thumbnails = options.thumbnails || {};
+
+    var handle = new ProcessingHandle(this._scheduler);
+    handle._requestOptions = _.pick(options, 'timeout', 'headers');
+    var callbacks = this._createCallbacks(handle, options);
+
+    // Get the resource straight away, it might already have been processed
+    this._poll(handle, id, callbacks, 0);
+    return handle;
+};
 
-                // Check the images
-                var imagesDone = _.chain(resource.images)
-                    .filter({'status': 'pending'})
-                    .isEmpty()
-                    .value();
-                if (imagesDone) {
-                    callbacks.images(resource.images);
+/**
+ * Resume polling the resources that were being processed when the process last stopped. Each job in
+ * the job store is dispatched to the handler it was created with through the `handler` option of
+ * `process`. Polling continues with the back-off it had reached. Jobs whose handler is not in
+ * `handlers` are left in the store, so another worker can resume them.
+ *
+ * Jobs of a registered tenant are polled with the tenant's API key, see `addTenant`. A client that
+ * is scoped to a tenant only resumes the jobs of that tenant. API keys are not recorded in the job
+ * store, so jobs that were created with an API key of an unregistered tenant are polled with the
+ * client's API key.
+ *
+ * Each handler function is passed the job as its second argument. The job holds the resource id
+ * (`id`), the correlation key (`key`) and the requested sizes (`thumbnailSizes`, `imageSizes`)
+ *
+ * @param  {Object}                 handlers                            The handlers, keyed by their name
+ * @param  {Function}               [handlers.<name>.complete]          Called when the resource has been fully processed. The manifest of saved previews is passed as the third argument when `download` is specified
+ * @param  {Function}               [handlers.<name>.error]             Called when the REST API could not be reached
+ * @param  {Function}               [handlers.<name>.thumbnails]        Called when all the thumbnails have been processed. The sizes that succeeded and failed are passed as the third argument
+ * @param  {Function}               [handlers.<name>.images]            Called when all the image previews have been processed. The sizes that succeeded and failed are passed as the third argument
+ * @param  {string|Function}        [handlers.<name>.download]          Save the generated previews once the resource has been fully processed. See `process`
+ * @param  {Function}               [callback]                          Standard callback function. When omitted, a Promise is returned
+ * @param  {Object}                 [callback.err]                      An error object when the jobs could not be retrieved
+ * @param  {ProcessingHandle[]}     [callback.handles]                  A processing handle for each resumed job
+ * @return {Promise}                                                    A Promise for the processing handles when no callback was provided
+ */
+Embdr.prototype.resume = function(handlers, callback) {
+    var self = this;
+    return ProcessrUtil.callbackOrPromise(callback, function(done) {
+        self._store.list(function(err, jobs) {
+            if (err) {
+                return done(new EmbdrErrors.EmbdrStoreError('The jobs could not be retrieved', {'err': err}));
+            }
+
+            var handles = _.chain(jobs)
+                .filter(function(job) {
+                    return _.has(handlers, job.handler) && (!self._tenant || job.tenant === self._tenant.name);
+                })
+                .map(function(job) {
+                    return self._resumeJob(job, handlers[job.handler]);
+                })
+                .value();
+            return done(null, handles);
+        });
+    });
+};
+
+/**
+ * Resume polling a single job
+ *
+ * @param  {Object}                 job                 The job to resume
+ * @param  {Object}                 handler             The handler the job should be dispatched to. See `resume`
+ * @return {ProcessingHandle}                           The handle for the resumed job
+ * @api private
+ */
+Embdr.prototype._resumeJob = function(job, handler) {
+    if (job.tenant && !this._tenant && _.has(this._tenants, job.tenant)) {
+        return this.forTenant(job.tenant)._resumeJob(job, handler);
+    }
+
+    // Pass the job along to each of the handler's functions
+    var withJob = function(fn) {
+        if (!_.isFunction(fn)) {
+            return null;
+        }
+
+        return function(data, extra) {
+            return fn(data, job, extra);
+        };
+    };
+    var options = {
+        'complete': withJob(handler.complete),
+        'error': withJob(handler.error),
+        'thumbnails': {'complete': withJob(handler.thumbnails)},
+        'images': {'complete': withJob(handler.images)},
+        'download': handler.download
+    };
+
+    var handle = new ProcessingHandle(this._scheduler);
+    handle.job = job;
+    handle._startedAt = job.createdAt || handle._startedAt;
+    handle._previews = job.previews || {};
+
+    var callbacks = this._createCallbacks(handle, options);
+    var delay = Math.max((job.polling.nextPollAt || 0) - Date.now(), 0);
+    this._poll(handle, job.id, callbacks, delay);
+    return handle;
+};
+
+/**
+ * Create a queue that processes items with a limited amount of concurrent uploads and pending
+ * resources. Items are added with `queue.push(item, options)` and `queue.end()` indicates that no
+ * more items will be added. See `lib/queue.js` for the events the queue emits
+ *
+ * @param  {Object}     [options]                   A set of extra options
+ * @param  {number}     [options.concurrency]       The maximum amount of items that are uploaded at the same time. Defaults to 4
+ * @param  {number}     [options.maxPending]        The maximum amount of items that are processed at the same time, including the ones that are being uploaded. Defaults to 20
+ * @param  {number}     [options.ratePerSecond]     The maximum amount of items that are started per second
+ * @return {Queue}                                  The queue. It can be awaited like a Promise that is resolved with the summary of all items
+ */
+Embdr.prototype.queue = function(options) {
+    return new Queue(this, options);
+};
+
+/**
+ * Process a set of items through a queue. Failing items don't stop the other items from being
+ * processed
+ *
+ * @param  {Array|Object|string}    items                           The items to process. This is either an array of items, a synchronous or asynchronous iterable of items or a glob pattern that matches the paths of the files to process. See `process` for the supported items
+ * @param  {Object}                 [options]                       The options and callbacks each item should be processed with. See `process`
+ * @param  {number}                 [options.concurrency]           The maximum amount of items that are uploaded at the same time. See `queue`
+ * @param  {number}                 [options.maxPending]            The maximum amount of items that are processed at the same time. See `queue`
+ * @param  {number}                 [options.ratePerSecond]         The maximum amount of items that are started per second. See `queue`
+ * @return {Queue}                                                  The queue that processes the items. It can be awaited like a Promise that is resolved with the summary of all items
+ * @throws {EmbdrValidationError}                                       Thrown when one of the sizes is invalid
+ */
+Embdr.prototype.processAll = function(items, options) {
+    options = options || {};
+    var queueOptions = _.pick(options, 'concurrency', 'maxPending', 'ratePerSecond');
+    var processOptions = _.omit(options, 'concurrency', 'maxPending', 'ratePerSecond');
+
+    // Validate the sizes up front rather than for each item
+    this._getProcessSizes(processOptions);
+    var queue = this.queue(queueOptions);
+
+    var pushAll = function(array) {
+        _.each(array, function(item) {
+            queue.push(item, processOptions);
+        });
+        queue.end();
+    };
+
+    if (_.isArray(items)) {
+        pushAll(items);
+    } else if (_.isString(items)) {
+        glob(items, {'nodir': true}, function(err, paths) {
+            if (err) {
+                return queue._fail(new EmbdrErrors.EmbdrStreamError('The glob pattern could not be expanded', {'err': err}));
+            }
+
+            pushAll(paths.sort());
+        });
+    } else if (items && _.isFunction(items[Symbol.asyncIterator])) {
+        queue._consume(items[Symbol.asyncIterator](), processOptions);
+    } else if (items && _.isFunction(items[Symbol.iterator])) {
+        queue._consume(items[Symbol.iterator](), processOptions);
+    } else {
+        throw new Error('The items should be an array, an iterable or a glob pattern');
+    }
+
+    return queue;
+};
+
+/**
+ * Look up the resource that was created for the content of an item before. See `setCache`. The
+ * returned lookup holds the `item` that should be uploaded when there is no such resource. This
+ * is a different stream when the item is hashed as it's uploaded. The resource that is created
+ * for it should be passed into the lookup's `record` function, so it's used for identical content
+ * from then on
+ *
+ * @param  {ProcessingHandle}       handle              The handle for the processing
+ * @param  {Stream|Buffer|string}   item                The item that is being processed. See `process`
+ * @param  {Object}                 sizes               The normalized `thumbnailSizes` and `imageSizes`
+ * @param  {boolean}                [forceUpload]       Whether the item should be uploaded regardless of the cache
+ * @param  {Function}               callback            Invoked asynchronously once the lookup is done
+ * @param  {Object}                 callback.err        An error object when the cached resource or the item could not be retrieved
+ * @param  {Object}                 callback.resource   The cached resource or `null` when the item should be uploaded
+ * @return {Object}                                     The lookup
+ * @api private
+ */
+Embdr.prototype._lookupCache = function(handle, item, sizes, forceUpload, callback) {
+    var self = this;
+    var cache = self._cache;
+    var key = null;
+
+    // Resources can only be retrieved with the API key they were created with, so each API key
+    // has its own cache entries
+    var scope = self._tenant ? crypto.createHash('sha256').update(self._tenant.auth).digest('hex') : null;
+    var lookup = {
+        'item': item,
+        'record': function(resource) {
+            // Streams are only hashed once they have been uploaded
+            if (lookup.item !== item && lookup.item.hash) {
+                key = HashUtil.getKey(lookup.item.hash, sizes.thumbnailSizes, sizes.imageSizes, scope);
+            }
+            if (key) {
+                cache.store.set(key, {'id': resource.id}, cache.ttl, function(err) {
+                    self._emitCacheError(err);
+                });
+            }
+        }
+    };
+
+    var isLink = (_.isString(item) && item.substr(0, 4) === 'http');
+    var isFileStream = (item instanceof Stream && _.isString(item.path));
+    if (!cache || isLink) {
+        lookup.record = _.noop;
+        process.nextTick(callback);
+        return lookup;
+    } else if (item instanceof Stream && !isFileStream) {
+        lookup.item = HashUtil.createHashStream(item);
+        process.nextTick(callback);
+        return lookup;
+    }
+
+    // A file stream isn't read until it's uploaded, but it could fail to open in the meantime
+    var streamError = null;
+    var onStreamError = function(err) {
+        streamError = err;
+    };
+    if (isFileStream) {
+        item.on('error', onStreamError);
+    }
+
+    var done = function(err, resource) {
+        if (isFileStream) {
+            item.removeListener('error', onStreamError);
+
+            // The file won't be uploaded when the cached resource is used
+            if (resource && !streamError) {
+                item.destroy();
+            }
+        }
+        if (streamError) {
+            return callback(new EmbdrErrors.EmbdrStreamError('An error occurred when reading from the stream', {'method': 'POST', 'path': '/resources', 'err': streamError}));
+        }
+
+        return callback(err, resource);
+    };
+
+    HashUtil.hash(isFileStream ? item.path : item, function(hashErr, hash) {
+        // The item can not be hashed when its file can't be read. Uploading it will explain why
+        if (hashErr) {
+            return done();
+        }
+
+        key = HashUtil.getKey(hash, sizes.thumbnailSizes, sizes.imageSizes, scope);
+        if (forceUpload) {
+            return done();
+        }
+
+        cache.store.get(key, function(getErr, cached) {
+            if (getErr) {
+                self._emitCacheError(getErr);
+                return done();
+            } else if (!cached || handle.cancelled) {
+                return done();
+            }
+
+            var getRequest = handle._track(self.resources.get(cached.id, handle._requestOptions, function(err, resource) {
+                handle._untrack(getRequest);
+
+                // The resource has been deleted since, the item is uploaded again
+                if (err instanceof EmbdrErrors.EmbdrNotFoundError) {
+                    cache.store.remove(key, function(removeErr) {
+                        self._emitCacheError(removeErr);
+                    });
+                    return done();
                 }
 
-                // If there are no pending processors left, we're done and can return to the caller
-                if (resource.status !== 'pending') {
-                    return callbacks.complete(resource);
+                return done(err, resource);
+            }));
+        });
+    });
+    return lookup;
+};
 
-                // Continue polling as long as there are still pending processors
-                } else {
-                    // Add a quarter of the polling timeout each time we check whether new updates
-                    // are available. This will ensure that the interval gradually backs off.
-                    pollingTimeout += Math.round(pollingTimeout / Embdr.DEFAULT_POLLING_BACKOFF_DENOMINATOR);
-                    if (pollingTimeout > Embdr.MAX_POLLING_TIMEOUT) {
-                        pollingTimeout = Embdr.MAX_POLLING_TIMEOUT;
-                    }
-                    setTimeout(poll, pollingTimeout);
+/**
+ * Announce that the cache could not be used. See `setCache`
+ *
+ * @param  {Object}                 [err]               The error object of the cache, if any
+ * @api private
+ */
+Embdr.prototype._emitCacheError = function(err) {
+    if (err) {
+        this.emit('cacheError', {'message': 'The cache could not be used', 'err': err});
+    }
+};
+
+/**
+ * Normalize a set of sizes, resolving any preset
+ *
+ * @param  {string|Array}           [sizes]             The sizes to normalize. See `Sizes.normalize`
+ * @return {string[]}                                   The normalized sizes or `undefined` when no sizes were specified
+ * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid
+ * @api private
+ */
+Embdr.prototype._normalizeSizes = function(sizes) {
+    return Sizes.normalize(sizes, this._sizePresets);
+};
+
+/**
+ * Get the normalized thumbnail and image sizes from the options of `process`
+ *
+ * @param  {Object}                 options             The options as passed into `process`
+ * @return {Object}                                     The normalized `thumbnailSizes` and `imageSizes`
+ * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid
+ * @api private
+ */
+Embdr.prototype._getProcessSizes = function(options) {
+    return {
+        'thumbnailSizes': this._normalizeSizes((options.thumbnails || {}).sizes),
+        'imageSizes': this._normalizeSizes((options.images || {}).sizes)
+    };
+};
+
+/**
+ * Build up the set of callbacks for processing a resource. Each callback is run through `_.once`.
+ * This will ensure that we don't accidentally notify the user twice. Each callback is mirrored as
+ * an event on the processing handle and is no longer invoked once processing has been cancelled
+ *
+ * @param  {ProcessingHandle}       handle              The handle for the processing
+ * @param  {Object}                 options             The options and callbacks as passed into `process`
+ * @return {Object}                                     The `start`, `error`, `complete`, `images` and `thumbnails` callbacks
+ * @api private
+ */
+Embdr.prototype._createCallbacks = function(handle, options) {
+    var self = this;
+
+    // Default the callbacks. Callback URLs are not invoked locally
+    var hook = function(fn) {
+        return _.isFunction(fn) ? fn : function() {};
+    };
+
+    var once = function(fn) {
+        return _.once(function() {
+            if (!handle.cancelled) {
+                fn.apply(null, arguments);
+            }
+        });
+    };
+
+    // Let the caller know about each preview that finished since the resource was last seen, and
+    // summarize which sizes succeeded once all the previews of a type have finished
+    var reportPreviews = function(resource) {
+        _.each(PREVIEW_EVENTS, function(event, type) {
+            _.each(resource[type], function(preview) {
+                var key = type + ':' + preview.size;
+                if (preview.status === 'pending' || handle._previews[key] === preview.status) {
+                    return;
                 }
+
+                handle._previews[key] = preview.status;
+                handle.emit((preview.status === 'done') ? event : 'preview:failed', {
+                    'type': type,
+                    'size': preview.size,
+                    'preview': preview
+                });
             });
+        });
+    };
+    var summarize = function(previews) {
+        var partitioned = _.partition(previews, {'status': 'done'});
+        return {
+            'succeeded': _.pluck(partitioned[0], 'size'),
+            'failed': _.pluck(partitioned[1], 'size')
         };
+    };
+    // Stop tracking the resource once processing has stopped
+    var release = function(outcome) {
+        if (options.webhooks && handle.resource) {
+            options.webhooks.unregister(handle.resource.id);
+        }
+        if (handle.job) {
+            self._storeJob('remove', handle.job.id);
+        }
 
-        // Start polling the resource for state changes
-        setTimeout(poll, pollingTimeout);
+        self.emit('metric', {
+            'name': 'process',
+            'id': handle.resource ? handle.resource.id : null,
+            'outcome': outcome,
+            'polls': handle._polls,
+            'duration': Date.now() - handle._startedAt
+        });
+    };
+    handle.on('cancel', function() {
+        release('cancelled');
     });
+
+    var callbacks = {
+        'start': once(function(resource) {
+            handle.resource = resource;
+            hook(options.start)(resource);
+            handle.emit('start', resource);
+        }),
+        'error': once(function(err) {
+            release('error');
+            hook(options.error)(err);
+            handle._fail(err);
+        }),
+        'complete': once(function(resource) {
+            reportPreviews(resource);
+            if (!options.download) {
+                release('complete');
+                hook(options.complete)(resource);
+                return handle._complete(resource);
+            }
+
+            // Save the generated previews before letting the caller know the resource is complete.
+            // Processing only stops once they have been saved
+            self.resources.saveAll(resource, options.download, function(err, manifest) {
+                if (handle.cancelled) {
+                    return;
+                } else if (err) {
+                    return callbacks.error(err);
+                }
+
+                release('complete');
+                hook(options.complete)(resource, manifest);
+                handle._complete(resource, manifest);
+            });
+        }),
+        'images': once(function(images) {
+            reportPreviews({'images': images});
+            var summary = summarize(images);
+            hook(options.images.complete)(images, summary);
+            handle.emit('images', images, summary);
+        }),
+        'thumbnails': once(function(thumbnails) {
+            reportPreviews({'thumbnails': thumbnails});
+            var summary = summarize(thumbnails);
+            hook(options.thumbnails.complete)(thumbnails, summary);
+            handle.emit('thumbnails', thumbnails, summary);
+        }),
+        'previews': function(resource) {
+            if (!handle.cancelled) {
+                reportPreviews(resource);
+            }
+        }
+    };
+    return callbacks;
+};
+
+/**
+ * Poll a resource until it has been fully processed. The polls are run by the instance's scheduler.
+ * When the handle has a job, its polling state is recorded in the job store before each poll
+ *
+ * @param  {ProcessingHandle}       handle              The handle for the processing
+ * @param  {string}                 id                  The id of the resource to poll
+ * @param  {Object}                 callbacks           The callbacks as created by `_createCallbacks`
+ * @param  {number}                 delay               The amount of milliseconds to wait before polling the resource for the first time
+ * @api private
+ */
+Embdr.prototype._poll = function(handle, id, callbacks, delay) {
+    var self = this;
+    var polling = self._polling;
+
+    // Get the polling time-out, each polling run will increment the timeout. A resumed job picks up
+    // where it left off
+    var job = handle.job;
+    var pollingTimeout = (job && job.polling.timeout) || polling.initialDelay;
+
+    // The preview callbacks that have already been invoked, possibly before the job was resumed
+    var notified = job ? job.notified : [];
+    var notify = function(type, previews) {
+        if (!_.contains(notified, type)) {
+            notified.push(type);
+            callbacks[type](previews);
+        }
+    };
+
+    var schedule = function(timeout) {
+        // Poll one last time when the deadline passes
+        if (polling.deadline) {
+            timeout = Math.max(Math.min(timeout, handle._startedAt + polling.deadline - Date.now()), 0);
+        }
+        if (job) {
+            job.polling = {'timeout': pollingTimeout, 'nextPollAt': Date.now() + timeout};
+            self._storeJob('save', job);
+        }
+        handle._schedule(poll, timeout);
+    };
+
+    var poll = function(done) {
+        handle._polls++;
+        if (self._tenant && self._tenant.usage) {
+            self._tenant.usage.polls++;
+        }
+        self.emit('metric', {'name': 'poll', 'id': id, 'polls': handle._polls});
+
+        // Get the resource's new metadata
+        var pollRequest = handle._track(self.resources.get(id, handle._requestOptions, function(err, resource) {
+            handle._untrack(pollRequest);
+            done();
+            if (handle.cancelled) {
+                return;
+            } else if (err) {
+                return callbacks.error(err);
+            }
+
+            // Let the caller know what the resource currently looks like and which previews have
+            // finished since the last poll
+            handle.resource = resource;
+            handle.emit('progress', resource);
+            callbacks.previews(resource);
+
+            // Check thumbnails
+            var thumbnailsDone = _.chain(resource.thumbnails)
+                .filter({'status': 'pending'})
+                .isEmpty()
+                .value();
+            if (thumbnailsDone) {
+                notify('thumbnails', resource.thumbnails);
+            }
+
+            // Check the images
+            var imagesDone = _.chain(resource.images)
+                .filter({'status': 'pending'})
+                .isEmpty()
+                .value();
+            if (imagesDone) {
+                notify('images', resource.images);
+            }
+
+            // If there are no pending processors left, we're done and can return to the caller
+            if (resource.status !== 'pending') {
+                return callbacks.complete(resource);
+
+            // Give up once the deadline has passed
+            } else if (polling.deadline && Date.now() - handle._startedAt >= polling.deadline) {
+                return callbacks.error(new EmbdrErrors.EmbdrTimeoutError(util.format('The resource was not processed within %dms', polling.deadline), {'method': 'GET', 'path': '/resources/' + id}));
+
+            // Continue polling as long as there are still pending processors
+            } else {
+                // Increase the polling timeout each time we check whether new updates are
+                // available. This will ensure that the interval gradually backs off.
+                pollingTimeout = Math.min(Math.round(pollingTimeout * polling.backoffFactor), polling.maxInterval);
+                schedule(pollingTimeout);
+            }
+        }));
+    };
+
+    schedule(delay);
+};
+
+/**
+ * Save or remove a job in the job store. Failures are announced with a `storeError` event, they
+ * don't affect the processing of the resource
+ *
+ * @param  {string}                 method              The job store function to invoke. One of `save` or `remove`
+ * @param  {Object|string}          jobOrId             The job to save or the id of the job to remove
+ * @api private
+ */
+Embdr.prototype._storeJob = function(method, jobOrId) {
+    var self = this;
+    self._store[method](jobOrId, function(err) {
+        if (err) {
+            self.emit('storeError', {'message': 'The job could not be updated in the job store', 'err': err});
+        }
+    });
+};
+
+/**
+ * Create a handler that receives the notifications the REST API posts to callback URLs and routes
+ * them to the listeners that were registered for a resource. See `lib/webhooks.js` for the details
+ *
+ * @param  {Object}     [options]               A set of extra options
+ * @param  {string}     [options.secret]        The secret that is shared with the REST API. When specified, notifications without a valid signature are rejected
+ * @param  {string}     [options.path]          Only handle requests for this path
+ * @return {Function}                           A request handler that can be used as a plain `http` request listener or as Connect-style middleware
+ */
+Embdr.webhookHandler = function(options) {
+    return Webhooks.createHandler(options);
+};
+
+/**
+ * Create Connect-style middleware that streams a file that is uploaded through a multipart form
+ * straight to the REST API. The created resource is available as `req.embdr`. See
+ * `lib/middleware.js` for the details
+ *
+ * @param  {Object}     [options]                       A set of extra options
+ * @param  {string}     [options.field]                 The name of the field that holds the file. Defaults to `file`
+ * @param  {Object}     [options.thumbnails]            The thumbnail options. See `process`
+ * @param  {Object}     [options.images]                The image preview options. See `process`
+ * @param  {number}     [options.maxBytes]              The maximum size of the file in bytes
+ * @param  {string[]}   [options.allowedTypes]          The content types the file can have. For example, `['image/*', 'application/pdf']`
+ * @param  {boolean}    [options.respond]               Answer the request with the created resource rather than passing it on to `next`
+ * @return {Function}                                   The middleware. It has the signature `function(req, res, [next])`
+ * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid
+ */
+Embdr.prototype.middleware = function(options) {
+    return Middleware.createHandler(this, options);
 };
 
 /**
@@ -208,6 +1090,23 @@ Embdr.prototype.setHost = function(host, port, protocol) {
     }
 };
 
+/**
+ * Set the URL on which the REST API can be reached. This sets the protocol, host, port and base path
+ * in one go
+ *
+ * @param {string}      baseUrl         The URL on which the REST API can be reached. For example, `https://embdr.io/api`
+ */
+Embdr.prototype.setBaseUrl = function(baseUrl) {
+    var parsed = url.parse(baseUrl);
+    var protocol = (parsed.protocol || '').replace(/:$/, '').toLowerCase();
+    if (!_.has(DEFAULT_PORTS, protocol) || !parsed.hostname) {
+        throw new Error('The base URL should be an absolute http or https URL');
+    }
+
+    this.setHost(parsed.hostname, parsed.port || DEFAULT_PORTS[protocol], protocol);
+    this.setBasePath((parsed.pathname || '').replace(/\/+$/, ''));
+};
+
 /**
  * Set the port on which the REST API can be reached
  *
@@ -248,12 +1147,289 @@ Embdr.prototype.setStrictSSL = function(strictSSL) {
  * Set the API key that allows for uploading to the Embdr REST API
  *
  * @param {string}      key             The API key that allows for uploading to the Embdr REST API
+ * @throws {EmbdrValidationError}       Thrown when the client is scoped to a tenant. Its API key can be changed through `addTenant`
  */
 Embdr.prototype.setApiKey = function(key) {
-    if (key) {
-        var auth = 'Basic ' + new Buffer(key + ':').toString('base64');
-        this._setApiField('auth', auth);
+    if (this._tenant) {
+        throw new EmbdrErrors.EmbdrValidationError('The API key of a client that is scoped to a tenant can not be changed');
+    } else if (key) {
+        this._setApiField('auth', getAuth(key));
+    }
+};
+
+/**
+ * Register a tenant. A tenant is a customer with its own API key, so each customer's usage of the
+ * REST API is kept separate. Registering a tenant that already exists replaces its API key but
+ * retains its usage. See `forTenant` and `getUsage`
+ *
+ * @param {string}      name            The name of the tenant
+ * @param {string}      apiKey          The API key of the tenant
+ * @throws {EmbdrValidationError}       Thrown when the name or the API key is missing
+ */
+Embdr.prototype.addTenant = function(name, apiKey) {
+    if (!name || !_.isString(name)) {
+        throw new EmbdrErrors.EmbdrValidationError('A tenant needs a name');
+    } else if (!apiKey || !_.isString(apiKey)) {
+        throw new EmbdrErrors.EmbdrValidationError(util.format('The tenant %s needs an API key', name));
+    }
+
+    var tenant = this._tenants[name];
+    if (tenant) {
+        tenant.auth = getAuth(apiKey);
+    } else {
+        this._tenants[name] = {
+            'name': name,
+            'auth': getAuth(apiKey),
+            'usage': createUsage()
+        };
+    }
+};
+
+/**
+ * Remove a tenant that was registered with `addTenant`. Clients that were scoped to the tenant
+ * before it was removed keep working
+ *
+ * @param {string}      name            The name of the tenant
+ */
+Embdr.prototype.removeTenant = function(name) {
+    delete this._tenants[name];
+};
+
+/**
+ * Get a client that makes all of its requests with the API key of a registered tenant. The scoped
+ * client is lightweight. It shares the connection settings, the agent, the polling scheduler, the
+ * job store, the cache, the interceptors and the event listeners with this client, so any change to
+ * those through either client applies to both. The scoped client can be used in the same way as
+ * this client, except that its API key can't be changed through `setApiKey`. The usage of the
+ * tenant is accounted for, see `getUsage`
+ *
+ * @param  {string}     name            The name of a tenant that was registered with `addTenant`
+ * @return {Embdr}                      The scoped client
+ * @throws {EmbdrValidationError}       Thrown when the tenant is not registered
+ */
+Embdr.prototype.forTenant = function(name) {
+    var root = this._root || this;
+    if (!_.isString(name) || !_.has(root._tenants, name)) {
+        throw new EmbdrErrors.EmbdrValidationError(util.format('The tenant %s is not registered', name));
+    }
+
+    return root._scope(root._tenants[name]);
+};
+
+/**
+ * Get a client that makes all of its requests with an API key. The API key is used as is, even
+ * when it matches the name of a registered tenant. Its usage is not accounted for. The scoped
+ * client is the same as the one `forTenant` returns otherwise
+ *
+ * @param  {string}     apiKey          The API key to make the requests with
+ * @return {Embdr}                      The scoped client
+ * @throws {EmbdrValidationError}       Thrown when no API key was specified
+ */
+Embdr.prototype.withApiKey = function(apiKey) {
+    if (!apiKey || !_.isString(apiKey)) {
+        throw new EmbdrErrors.EmbdrValidationError('An API key is required');
+    }
+
+    var root = this._root || this;
+    return root._scope({'name': null, 'auth': getAuth(apiKey), 'usage': null});
+};
+
+/**
+ * Create a client that makes its requests for a tenant. The state the scoped client replaces
+ * rather than changes is read from and written to this client
+ *
+ * @param  {Object}     tenant          The tenant to make the requests for. It holds the tenant's `name`, its `auth` header and its `usage`
+ * @return {Embdr}                      The scoped client
+ * @api private
+ */
+Embdr.prototype._scope = function(tenant) {
+    var root = this;
+    var client = Object.create(root);
+    client._root = root;
+    _.each(SHARED_STATE, function(property) {
+        Object.defineProperty(client, property, {
+            'get': function() {
+                return root[property];
+            },
+            'set': function(value) {
+                root[property] = value;
+            }
+        });
+    });
+    client._tenant = tenant;
+    client._exposeApis();
+    return client;
+};
+
+/**
+ * Get how much the REST API has been used by each registered tenant. The usage holds:
+ *
+ *  - `requests`:       The amount of requests that were made, including retries
+ *  - `resources`:      The amount of resources that were created
+ *  - `bytesUploaded`:  The amount of bytes that were uploaded
+ *  - `polls`:          The amount of times a resource was polled
+ *
+ * @param  {string}     [name]          The name of the tenant to get the usage for. When unspecified, the usage of all tenants is returned keyed by their name
+ * @return {Object}                     The usage of the tenant or `null` when there is no such tenant
+ */
+Embdr.prototype.getUsage = function(name) {
+    if (!name) {
+        return _.mapValues(this._tenants, function(tenant) {
+            return _.clone(tenant.usage);
+        });
     }
+
+    var tenant = this._tenants[name];
+    return tenant ? _.clone(tenant.usage) : null;
+};
+
+/**
+ * Reset the usage of a registered tenant to zero
+ *
+ * @param  {string}     [name]          The name of the tenant to reset the usage for. When unspecified, the usage of all tenants is reset
+ */
+Embdr.prototype.resetUsage = function(name) {
+    _.each(name ? _.pick(this._tenants, name) : this._tenants, function(tenant) {
+        tenant.usage = createUsage();
+    });
+};
+
+/**
+ * Configure how failed requests are retried. Any option that is not specified retains its current
+ * value. See `Embdr.DEFAULT_RETRY` for the defaults
+ *
+ * @param {Object}      options                 The retry options
+ * @param {number}      [options.maxAttempts]   The maximum number of attempts for a request, including the first one. Use `1` to disable retrying
+ * @param {string[]}    [options.methods]       The HTTP methods that can be retried. Only add non-idempotent methods such as `POST` when creating a resource twice is acceptable
+ * @param {number[]}    [options.statusCodes]   The status codes that should be retried. Requests are also retried when the REST API could not be reached
+ * @param {number}      [options.minDelay]      The amount of milliseconds to wait before the first retry
+ * @param {number}      [options.maxDelay]      The maximum amount of milliseconds to wait between two attempts. This also caps the `Retry-After` header
+ * @param {number}      [options.factor]        The factor by which the delay grows with each attempt
+ * @param {string}      [options.streams]       How streams are handled when a request with a stream can be retried. One of `buffer` (read the stream into memory), `spool` (write the stream to a temporary file) or `fail` (fail the request when it needs to be retried)
+ */
+Embdr.prototype.setRetry = function(options) {
+    _.extend(this._retry, options);
+};
+
+/**
+ * Configure how resources are polled until they have been processed. Any option that is not
+ * specified retains its current value. See `Embdr.DEFAULT_POLLING` for the defaults
+ *
+ * @param {Object}      options                     The polling options
+ * @param {number}      [options.initialDelay]      The amount of milliseconds to wait before polling a newly created resource
+ * @param {number}      [options.backoffFactor]     The factor by which the delay between two polls grows after each poll
+ * @param {number}      [options.maxInterval]       The maximum amount of milliseconds to wait between two polls
+ * @param {number}      [options.deadline]          The amount of milliseconds after which a resource that is still pending fails with an `EmbdrTimeoutError`. Use `null` to poll until the resource has been processed
+ * @param {number}      [options.concurrency]       The maximum amount of resources that are checked at the same time
+ * @param {boolean}     [options.unref]             Whether the polling timers should not keep the process alive. Only set this when something else keeps the process running, such as a web server, and exiting early is preferred over waiting for pending resources
+ */
+Embdr.prototype.setPolling = function(options) {
+    _.extend(this._polling, options);
+};
+
+/**
+ * Configure how links are handled that the REST API can't reach, for example because they point
+ * to a private network. By default, the client fetches such a link itself and uploads its content.
+ * As this lets the server fetch arbitrary links, the hosts that can be fetched should be limited
+ * when links come from untrusted users. Any option that is not specified retains its current value.
+ * See `Embdr.DEFAULT_LINK_FALLBACK` for the defaults
+ *
+ * Each fetched link is emitted as a `linkFallback` event with the `link`, the `url` that was
+ * eventually fetched after any redirects, the `status` of the response and the `err` that
+ * prevented the link from being fetched, if any
+ *
+ * @param {Object|boolean}  options                 The fallback options or `false` to disable the fallback. When the fallback is disabled, processing fails with an `EmbdrLinkUnreachableError`
+ * @param {boolean}         [options.enabled]       Whether links the REST API can't reach are fetched by the client
+ * @param {string[]}        [options.allow]         The hosts that can be fetched. A host is a hostname, a hostname with a wildcard for its subdomains (for example, `*.example.com`), an IP address or a CIDR range (for example, `10.0.0.0/8`). Use `null` to allow any host
+ * @param {string[]}        [options.deny]          The hosts that can not be fetched, in the same format as `options.allow`. The denylist takes precedence over the allowlist. By default, unspecified, loopback, private and link-local addresses are denied. Use `null` to deny no host
+ * @param {number}          [options.maxRedirects]  The maximum amount of redirects to follow. The host of each redirect is checked as well
+ * @param {number}          [options.maxBytes]      The maximum size of the content in bytes. Use `null` for no limit
+ * @param {number}          [options.timeout]       The amount of milliseconds to wait for the link to respond. Use `null` to wait indefinitely
+ * @param {Object}          [options.headers]       The headers to send along. For example, to authenticate with an intranet
+ * @param {Object}          [options.cookies]       The cookies to send along, keyed by their name. The cookies, the headers and the Authorization header are not sent along when a link redirects to another host
+ * @throws {EmbdrValidationError}                   Thrown when one of the hosts is invalid
+ */
+Embdr.prototype.setLinkFallback = function(options) {
+    if (options === false) {
+        options = {'enabled': false};
+    }
+
+    var rules = _.mapValues(_.pick(options, 'allow', 'deny'), function(hosts) {
+        return FetchUtil.parseRules(hosts);
+    });
+    _.extend(this._linkFallback, options, rules);
+};
+
+/**
+ * Set the named sizes that can be used in place of a size. For example, with a `small` preset of
+ * `64x64` the thumbnail sizes can be specified as `['small']`. Any preset that is not specified
+ * retains its current value
+ *
+ * @param {Object}      presets         The sizes, keyed by their name. Each size is either a string of the form {width}x{height} or an object with a `width` and a `height`
+ * @throws {EmbdrValidationError}       Thrown when one of the sizes is invalid
+ */
+Embdr.prototype.setSizePresets = function(presets) {
+    _.extend(this._sizePresets, _.mapValues(presets, function(size) {
+        return Sizes.parse(size);
+    }));
+};
+
+/**
+ * Set the job store in which the resources that are being polled are recorded. This allows
+ * polling to be resumed through `resume` after the process restarts. By default the jobs are kept
+ * in memory. See `lib/stores/memory.js` for the interface a job store should implement
+ *
+ * @param {Object}      store           The job store. For example, `new Embdr.FileStore('/var/lib/embdr/jobs.json')`
+ */
+Embdr.prototype.setStore = function(store) {
+    this._store = store;
+};
+
+/**
+ * Enable a cache that maps the content of uploaded items to the resources that were created for
+ * them. When `process` is passed a buffer, a path or a file stream whose content was processed
+ * before with the same sizes, the existing resource is used rather than uploading the content
+ * again. These are hashed before they're uploaded. Other streams can only be hashed as they're
+ * uploaded, so they are recorded in the cache but always uploaded. Cache failures are announced
+ * with a `cacheError` event, they don't affect the processing of an item
+ *
+ * @param {Object}      cache           The cache. For example, `new Embdr.MemoryCache()`. See `lib/caches/memory.js` for the interface a cache should implement. Pass `null` to disable the cache
+ * @param {Object}      [options]       A set of extra options
+ * @param {number}      [options.ttl]   The amount of milliseconds for which a cached resource is used. Use `null` to use it for as long as it exists. Defaults to `Embdr.DEFAULT_CACHE_TTL`
+ */
+Embdr.prototype.setCache = function(cache, options) {
+    options = options || {};
+    this._cache = null;
+    if (cache) {
+        this._cache = {
+            'store': cache,
+            'ttl': _.has(options, 'ttl') ? options.ttl : Embdr.DEFAULT_CACHE_TTL
+        };
+    }
+};
+
+/**
+ * Add an interceptor that can change the requests that are sent and observe their responses. An
+ * interceptor is an object with either or both of these synchronous functions:
+ *
+ *  - `request(options)`:   Invoked with the options for `request` before a request is sent. It can change the options or return new ones
+ *  - `response(info)`:     Invoked when a request finished. The info holds the `method`, `path`, `url`, request `headers`, `status` (`null` when there was no response), `duration` in milliseconds, `response` and `err`
+ *
+ * Interceptors are invoked in the order in which they were added
+ *
+ * @param {Object}      interceptor     The interceptor to add
+ */
+Embdr.prototype.addInterceptor = function(interceptor) {
+    this._interceptors.push(interceptor);
+};
+
+/**
+ * Remove an interceptor that was added with `addInterceptor`
+ *
+ * @param {Object}      interceptor     The interceptor to remove
+ */
+Embdr.prototype.removeInterceptor = function(interceptor) {
+    this._interceptors = _.without(this._interceptors, interceptor);
 };
 
 /**
@@ -287,27 +1463,33 @@ Embdr.prototype._exposeApis = function() {
 };
 
 /**
- * Execute an HTTP request against the REST API
+ * Execute an HTTP request against the REST API. Requests that fail because the REST API could not
+ * be reached or because it responded with one of the retryable status codes are retried as
+ * configured through `setRetry`. Each retry is announced with a `retry` event
  *
- * @param  {string}         method              The HTTP method to execute. For example, `GET`, `POST`, ..
- * @param  {string}         path                The path to direct the HTTP request at
- * @param  {Object}         data                The data to pass along in the HTTP request
- * @param  {Function}       callback            Standard callback function
- * @param  {Object}         callback.err        An error object when the REST API could not be reached or returned a non-expected status code
- * @param  {Object}         callback.data       The data the REST API returned
+ * @param  {string}         method                      The HTTP method to execute. For example, `GET`, `POST`, ..
+ * @param  {string}         path                        The path to direct the HTTP request at
+ * @param  {Object}         data                        The data to pass along in the HTTP request
+ * @param  {Object}         [requestOptions]            Overrides for this request
+ * @param  {number}         [requestOptions.timeout]    The amount of milliseconds to wait for the REST API to respond. Overrides the `timeout` the instance was created with
+ * @param  {Object}         [requestOptions.headers]    Extra headers to send along
+ * @param  {string}         [requestOptions.apiKey]     The API key to authenticate with. Overrides the API key of the instance
+ * @param  {Object}         [requestOptions.parts]      The `filename`, `contentType` and `knownLength` of the multipart parts, keyed by the name of the part
+ * @param  {Function}       [requestOptions.uploadProgress]     Called as a multipart request is being sent with the amount of `bytes` that have been sent and the `total` amount of bytes, if known
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error object when the REST API could not be reached or returned a non-expected status code
+ * @param  {Object}         callback.data               The data the REST API returned
+ * @return {Object}                                     The in-flight request. It has an `abort` function that aborts the current attempt and any pending retries
  * @api private
  */
-Embdr.prototype._request = function(method, path, data, callback) {
-    var url = util.format('%s://%s:%d%s%s', this._api.protocol, this._api.host, this._api.port, this._api.basePath, path);
+Embdr.prototype._request = function(method, path, data, requestOptions, callback) {
+    var self = this;
+    var retry = self._retry;
+    if (_.isFunction(requestOptions)) {
+        callback = requestOptions;
+        requestOptions = null;
+    }
 
-    var options = {
-        'url': url,
-        'method': method,
-        'strictSSL': this._api.strictSSL,
-        'headers': {
-            'Authorization': this._api.auth
-        }
-    };
     // Sanitize the parameters to not include null / unspecified values
     data = data || {};
     _.each(data, function(value, key) {
@@ -324,6 +1506,257 @@ Embdr.prototype._request = function(method, path, data, callback) {
         }
     });
 
+    // Streams that are read from disk are uploaded with their filename. This is retained when
+    // the stream is prepared for retrying
+    var partOptions = _.mapValues(_.pick(data, function(value) {
+        return (value instanceof Stream && _.isString(value.path));
+    }), function(value) {
+        return {'filename': Path.basename(value.path)};
+    });
+    _.extend(partOptions, requestOptions && requestOptions.parts);
+
+    var canRetry = (retry.maxAttempts > 1 && _.contains(retry.methods, method));
+
+    var aborted = false;
+    var current = null;
+    var timer = null;
+    var inflight = {
+        'abort': function() {
+            aborted = true;
+            clearTimeout(timer);
+            if (current) {
+                current.abort();
+            }
+        }
+    };
+
+    // When the request could be retried, ensure its data can be sent more than once
+    var prepareMode = canRetry ? retry.streams : 'fail';
+    RetryUtil.prepare(data, prepareMode, function(err, getData, cleanup, replayable) {
+        if (err) {
+            return callback(new EmbdrErrors.EmbdrStreamError(err.message, {'method': method, 'path': path, 'err': err.err}));
+        } else if (aborted) {
+            return cleanup();
+        }
+
+        var attempt = function(attemptNumber) {
+            current = self._send(method, path, getData(), partOptions, requestOptions, function(sendErr, body, response) {
+                current = null;
+                if (aborted) {
+                    return cleanup();
+                }
+
+                var shouldRetry = (sendErr && canRetry && attemptNumber < retry.maxAttempts && RetryUtil.isRetryable(response, retry));
+                if (shouldRetry && !replayable) {
+                    cleanup();
+                    return callback(new EmbdrErrors.EmbdrStreamError('The request failed and can not be retried as its stream has already been consumed', {
+                        'status': sendErr.status,
+                        'body': sendErr.body,
+                        'method': method,
+                        'path': path,
+                        'code': sendErr.code,
+                        'err': sendErr
+                    }));
+                } else if (shouldRetry) {
+                    var delay = RetryUtil.getDelay(attemptNumber, retry, response);
+                    self.emit('retry', {
+                        'method': method,
+                        'path': path,
+                        'attempt': attemptNumber,
+                        'delay': delay,
+                        'err': sendErr
+                    });
+                    timer = setTimeout(attempt, delay, attemptNumber + 1);
+                    return;
+                }
+
+                cleanup();
+                return callback(sendErr, body);
+            });
+        };
+
+        attempt(1);
+    });
+
+    return inflight;
+};
+
+/**
+ * Get the URL for a path on the REST API
+ *
+ * @param  {string}         path                The path on the REST API. For example, `/resources`
+ * @return {string}                             The full URL
+ * @api private
+ */
+Embdr.prototype._getUrl = function(path) {
+    return util.format('%s://%s:%d%s%s', this._api.protocol, this._api.host, this._api.port, this._api.basePath, path);
+};
+
+/**
+ * Stream a file from the REST API or from another location. The API key is only passed along when
+ * the file is hosted on the REST API itself, that is, on the same protocol, host and port
+ *
+ * @param  {string}         pathOrUrl                   A path on the REST API or an absolute URL
+ * @param  {Object}         [requestOptions]            Overrides for this request. See `_request`
+ * @return {Request}                                    The request stream
+ * @api private
+ */
+Embdr.prototype._download = function(pathOrUrl, requestOptions) {
+    var isAbsolute = /^https?:\/\//i.test(pathOrUrl);
+    var options = this._getRequestOptions('GET', isAbsolute ? pathOrUrl : this._getUrl(pathOrUrl), requestOptions);
+    options.encoding = null;
+
+    if (isAbsolute && !this._isApiOrigin(pathOrUrl)) {
+        delete options.headers.Authorization;
+    }
+
+    var self = this;
+    var startedAt = Date.now();
+    options = this._interceptRequest(options);
+    var r = request(options);
+    var observe = _.once(function(err, response) {
+        self._observeResponse({
+            'method': 'GET',
+            'path': pathOrUrl,
+            'url': options.url,
+            'headers': options.headers,
+            'status': response ? response.statusCode : null,
+            'duration': Date.now() - startedAt,
+            'response': response || null,
+            'err': err || null
+        });
+    });
+    r.on('response', function(response) {
+        observe(null, response);
+    });
+    r.on('error', observe);
+    return r;
+};
+
+/**
+ * Whether a URL is hosted on the REST API. The protocol, host and port all have to match
+ *
+ * @param  {string}         requestUrl                  An absolute URL
+ * @return {boolean}                                    `true` when the URL points to the REST API
+ * @api private
+ */
+Embdr.prototype._isApiOrigin = function(requestUrl) {
+    var parsed = url.parse(requestUrl);
+    var protocol = (parsed.protocol || '').replace(/:$/, '').toLowerCase();
+    var port = parsed.port || DEFAULT_PORTS[protocol];
+    return (protocol === this._api.protocol &&
+        (parsed.hostname || '').toLowerCase() === String(this._api.host).toLowerCase() &&
+        String(port) === String(this._api.port));
+};
+
+/**
+ * Pass the options for a request through the request interceptors
+ *
+ * @param  {Object}         options                     The options for `request`
+ * @return {Object}                                     The options that should be used
+ * @api private
+ */
+Embdr.prototype._interceptRequest = function(options) {
+    return _.reduce(this._interceptors, function(memo, interceptor) {
+        return (interceptor.request && interceptor.request(memo)) || memo;
+    }, options);
+};
+
+/**
+ * Let the response interceptors observe a finished request, log it when debugging is enabled, emit
+ * its `request` metric and account for it in the usage of the tenant
+ *
+ * @param  {Object}         info                        The finished request. See `addInterceptor`
+ * @api private
+ */
+Embdr.prototype._observeResponse = function(info) {
+    var usage = this._tenant && this._tenant.usage;
+    if (usage) {
+        usage.requests++;
+        if (info.method === 'POST' && info.path === '/resources' && info.status >= 200 && info.status < 300) {
+            usage.resources++;
+        }
+    }
+
+    _.each(this._interceptors, function(interceptor) {
+        if (interceptor.response) {
+            interceptor.response(info);
+        }
+    });
+
+    if (this._debug) {
+        var headers = _.clone(info.headers || {});
+        if (headers.Authorization) {
+            headers.Authorization = '[REDACTED]';
+        }
+        var outcome = info.err ? 'ERROR ' + info.err.message : info.status;
+        this._debug(util.format('embdr %s %s %s %dms %s', info.method, info.url, outcome, info.duration, JSON.stringify(headers)));
+    }
+
+    this.emit('metric', {
+        'name': 'request',
+        'method': info.method,
+        'path': info.path,
+        'status': info.status,
+        'duration': info.duration
+    });
+};
+
+/**
+ * Get the options for a request. These hold the connection settings of the instance and any
+ * overrides for the request. Requests are authenticated with the API key of the request, the
+ * tenant of a scoped client or the instance, whichever is specified first
+ *
+ * @param  {string}         method                      The HTTP method to execute
+ * @param  {string}         requestUrl                  The URL to direct the HTTP request at
+ * @param  {Object}         [requestOptions]            Overrides for this request. See `_request`
+ * @return {Object}                                     The options for `request`
+ * @api private
+ */
+Embdr.prototype._getRequestOptions = function(method, requestUrl, requestOptions) {
+    requestOptions = requestOptions || {};
+
+    var options = {
+        'url': requestUrl,
+        'method': method,
+        'strictSSL': this._api.strictSSL,
+        'headers': _.extend({
+            'Authorization': requestOptions.apiKey ? getAuth(requestOptions.apiKey) : (this._tenant || this._api).auth,
+            'User-Agent': this._api.userAgent
+        }, requestOptions.headers)
+    };
+
+    var timeout = requestOptions.timeout || this._api.timeout;
+    if (timeout) {
+        options.timeout = timeout;
+    }
+    if (this._api.proxy) {
+        options.proxy = this._api.proxy;
+    }
+    if (this._api.agent) {
+        options.agent = this._api.agent;
+    }
+    return options;
+};
+
+/**
+ * Send a single HTTP request to the REST API
+ *
+ * @param  {string}         method              The HTTP method to execute. For example, `GET`, `POST`, ..
+ * @param  {string}         path                The path to direct the HTTP request at
+ * @param  {Object}         data                The sanitized data to pass along in the HTTP request
+ * @param  {Object}         partOptions         The options for the multipart parts, keyed by the name of the part
+ * @param  {Object}         [requestOptions]    Overrides for this request. See `_request`
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error object when the REST API could not be reached or returned a non-expected status code
+ * @param  {Object}         callback.data       The data the REST API returned
+ * @param  {Response}       callback.response   The response of the REST API, if any
+ * @return {Request}                            The in-flight request
+ * @api private
+ */
+Embdr.prototype._send = function(method, path, data, partOptions, requestOptions, callback) {
+    var options = this._getRequestOptions(method, this._getUrl(path), requestOptions);
+
     // Keep track of whether we'll have to perform a multipart request
     var isMultipart = false;
 
@@ -346,19 +1779,34 @@ Embdr.prototype._request = function(method, path, data, callback) {
     }
 
     // Submit the request
+    var self = this;
+    var startedAt = Date.now();
+    options = this._interceptRequest(options);
     var r = request(options, function(err, response, body) {
-        if (err) {
-            return callback({'code': 500, 'message': util.format('Something went wrong trying to contact the server'), 'err': err});
+        self._observeResponse({
+            'method': method,
+            'path': path,
+            'url': options.url,
+            'headers': options.headers,
+            'status': response ? response.statusCode : null,
+            'duration': Date.now() - startedAt,
+            'response': response || null,
+            'err': err || null
+        });
+
+        if (err && (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT')) {
+            return callback(new EmbdrErrors.EmbdrNetworkError('The REST API did not respond in time', {'method': method, 'path': path, 'err': err}));
+        } else if (err) {
+            return callback(new EmbdrErrors.EmbdrNetworkError('Something went wrong trying to contact the server', {'method': method, 'path': path, 'err': err}));
         } else if (response.statusCode >= 400) {
-            // The body will be a JSON object
+            // The body will usually be a JSON object
             try {
-                err = JSON.parse(body);
-                err.code = response.statusCode;
+                body = JSON.parse(body);
             } catch (ex) {
-                return callback({'code': response.statusCode, 'message': body});
+                // Pass along the body as is
             }
 
-            return callback(err);
+            return callback(EmbdrErrors.fromResponse(method, path, response, body), null, response);
         }
 
         // Check if the response body is JSON
@@ -368,7 +1816,7 @@ Embdr.prototype._request = function(method, path, data, callback) {
             // Swallow the exception
         }
 
-        return callback(null, body);
+        return callback(null, body, response);
     });
 
     // When the request is a multipart POST request, we need to submit our regular form fields first
@@ -380,19 +1828,74 @@ Embdr.prototype._request = function(method, path, data, callback) {
         // for more information
         var form = r.form();
 
-        _.pairs(data)
-            // Ensure the Stream or Buffer parts are added last
-            .sort(function(a) {
-                if (a[1] instanceof Stream || Buffer.isBuffer(a[1])) {
-                    return 1;
-                }
+        // Ensure the Stream or Buffer parts are added last. The sort is stable so the other parts
+        // retain their order
+        _.chain(data)
+            .pairs()
+            .sortBy(function(part) {
+                return (part[1] instanceof Stream || Buffer.isBuffer(part[1])) ? 1 : 0;
             })
+            .value()
 
             // Add each part to the form
             .forEach(function(part) {
                 if (part[0] && part[1]) {
-                    form.append(part[0], part[1]);
+                    form.append(part[0], part[1], partOptions[part[0]]);
+                }
+            });
+
+        // The form can only determine the length of file streams and HTTP responses. For any other
+        // stream it would report a length that excludes the stream's data and the upload would be
+        // cut short. In that case the length is left out and the request is sent chunked instead
+        var hasUnknownLength = _.some(data, function(val, key) {
+            return (val instanceof Stream && !val.path && !val.hasOwnProperty('httpVersion') && !_.has(partOptions[key], 'knownLength'));
+        });
+        if (hasUnknownLength) {
+            form.getLength = function(getLengthCallback) {
+                return getLengthCallback(new Error('The length of the form can not be determined'));
+            };
+        }
+
+        // Report the progress of the upload as the form is sent
+        if (requestOptions && requestOptions.uploadProgress) {
+            var progress = {'bytes': 0, 'total': null};
+            form.getLength(function(err, length) {
+                if (!err) {
+                    progress.total = length;
                 }
             });
+            form.on('data', function(chunk) {
+                progress.bytes += chunk.length;
+                requestOptions.uploadProgress(_.clone(progress));
+            });
+        }
+
+        // Account for the uploaded bytes in the usage of the tenant
+        if (self._tenant && self._tenant.usage) {
+            form.on('data', function(chunk) {
+                self._tenant.usage.bytesUploaded += chunk.length;
+            });
+        }
     }
+
+    return r;
+};
+
+/*!
+ * Get the value of the Authorization header for an API key
+ *
+ * @param  {string}         apiKey                      The API key
+ * @return {string}                                     The value of the Authorization header
+ */
+var getAuth = function(apiKey) {
+    return 'Basic ' + new Buffer(apiKey + ':').toString('base64');
+};
+
+/*!
+ * Create the usage of a tenant that has not used the REST API yet. See `getUsage`
+ *
+ * @return {Object}                                     The usage with each of its counters at zero
+ */
+var createUsage = function() {
+    return {'requests': 0, 'resources': 0, 'bytesUploaded': 0, 'polls': 0};
 };
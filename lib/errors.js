@@ -0,0 +1,269 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+
+var RetryUtil = require('./retry');
+
+// The message the REST API responds with when it can't reach a link
+var LINK_UNREACHABLE_MESSAGE = 'Unable to handle a link because it could not be reached';
+
+/**
+ * The base class of the errors the client returns. Each error carries the details of the request
+ * that failed:
+ *
+ *  - `status`:     The HTTP status code the REST API responded with or `null` when there was no response
+ *  - `body`:       The (parsed) body the REST API responded with or `null` when there was no response
+ *  - `method`:     The HTTP method of the request. For example, `POST`
+ *  - `path`:       The path or URL the request was directed at. For example, `/resources`
+ *  - `code`:       The HTTP status code, or `500` when the REST API could not be reached. This is retained for backwards compatibility
+ *  - `err`:        The underlying error, if any
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed
+ * @param  {number}     [details.status]        The HTTP status code the REST API responded with
+ * @param  {*}          [details.body]          The body the REST API responded with
+ * @param  {string}     [details.method]        The HTTP method of the request
+ * @param  {string}     [details.path]          The path or URL the request was directed at
+ * @param  {number}     [details.code]          The code of the error. Defaults to the status code
+ * @param  {Error}      [details.err]           The underlying error
+ */
+function EmbdrError(message, details) {
+    details = details || {};
+    Error.call(this);
+
+    this.message = message;
+    Error.captureStackTrace(this, this.constructor);
+
+    this.status = details.status || null;
+    this.body = _.isUndefined(details.body) ? null : details.body;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.code = details.code || this.status;
+    if (details.err) {
+        this.err = details.err;
+    }
+}
+inherit(EmbdrError, Error, 'EmbdrError');
+
+/**
+ * Serialize the error, including its name
+ *
+ * @return {Object}                             The properties of the error
+ */
+EmbdrError.prototype.toJSON = function() {
+    return _.assign({'name': this.name}, this);
+};
+
+/**
+ * The REST API could not be reached or did not respond in time
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrNetworkError(message, details) {
+    EmbdrError.call(this, message, _.defaults({}, details, {'code': 500}));
+}
+inherit(EmbdrNetworkError, EmbdrError, 'EmbdrNetworkError');
+
+/**
+ * The API key is missing or invalid, or it does not grant access to the resource
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrAuthError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrAuthError, EmbdrError, 'EmbdrAuthError');
+
+/**
+ * The REST API rejected the request because it was invalid. For example, because of an invalid size
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrValidationError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrValidationError, EmbdrError, 'EmbdrValidationError');
+
+/**
+ * The resource or preview could not be found
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrNotFoundError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrNotFoundError, EmbdrError, 'EmbdrNotFoundError');
+
+/**
+ * Too many requests were made with the API key. The amount of milliseconds the REST API asked to
+ * wait is available as `retryAfter`, or `null` when it didn't specify one
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ * @param  {number}     [details.retryAfter]    The amount of milliseconds the REST API asked to wait
+ */
+function EmbdrRateLimitError(message, details) {
+    EmbdrError.call(this, message, details);
+    this.retryAfter = (details && details.retryAfter) || null;
+}
+inherit(EmbdrRateLimitError, EmbdrError, 'EmbdrRateLimitError');
+
+/**
+ * The resource was not processed before the polling deadline passed
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrTimeoutError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrTimeoutError, EmbdrError, 'EmbdrTimeoutError');
+
+/**
+ * The item that should be uploaded or the items that should be processed could not be read, or a
+ * preview could not be saved
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrStreamError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrStreamError, EmbdrError, 'EmbdrStreamError');
+
+/**
+ * The REST API could not process the resource or some of its previews. The notification or the
+ * resource the REST API returned is available as `body`
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrProcessingError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrProcessingError, EmbdrError, 'EmbdrProcessingError');
+
+/**
+ * The job store could not be read or written
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the failure. See `EmbdrError`
+ */
+function EmbdrStoreError(message, details) {
+    EmbdrError.call(this, message, details);
+}
+inherit(EmbdrStoreError, EmbdrError, 'EmbdrStoreError');
+
+/**
+ * Processing was cancelled through the processing handle. For backwards compatibility, `cancelled`
+ * is `true`
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the failure. See `EmbdrError`
+ */
+function EmbdrCancelledError(message, details) {
+    EmbdrError.call(this, message, details);
+    this.cancelled = true;
+}
+inherit(EmbdrCancelledError, EmbdrError, 'EmbdrCancelledError');
+
+/**
+ * The REST API could not reach the link it was asked to process. This is a validation error, as
+ * the REST API responds with a 400
+ *
+ * @constructor
+ * @param  {string}     message                 The message explaining what went wrong
+ * @param  {Object}     [details]               The details of the request that failed. See `EmbdrError`
+ */
+function EmbdrLinkUnreachableError(message, details) {
+    EmbdrValidationError.call(this, message, details);
+}
+inherit(EmbdrLinkUnreachableError, EmbdrValidationError, 'EmbdrLinkUnreachableError');
+
+module.exports = {
+    'EmbdrError': EmbdrError,
+    'EmbdrNetworkError': EmbdrNetworkError,
+    'EmbdrAuthError': EmbdrAuthError,
+    'EmbdrValidationError': EmbdrValidationError,
+    'EmbdrNotFoundError': EmbdrNotFoundError,
+    'EmbdrRateLimitError': EmbdrRateLimitError,
+    'EmbdrTimeoutError': EmbdrTimeoutError,
+    'EmbdrStreamError': EmbdrStreamError,
+    'EmbdrProcessingError': EmbdrProcessingError,
+    'EmbdrStoreError': EmbdrStoreError,
+    'EmbdrCancelledError': EmbdrCancelledError,
+    'EmbdrLinkUnreachableError': EmbdrLinkUnreachableError
+};
+
+/**
+ * Create the error for a response with an error status code
+ *
+ * @param  {string}     method                  The HTTP method of the request
+ * @param  {string}     path                    The path or URL the request was directed at
+ * @param  {Response}   response                The response of the REST API
+ * @param  {Object|string}  body                The body of the response. JSON bodies should already be parsed
+ * @return {EmbdrError}                         The error that matches the status code
+ */
+module.exports.fromResponse = function(method, path, response, body) {
+    var status = response.statusCode;
+    var message = null;
+    if (body && _.isString(body.message)) {
+        message = body.message;
+    } else if (_.isString(body) && body) {
+        message = body;
+    } else {
+        message = util.format('The REST API responded with a %d status code', status);
+    }
+
+    var details = {
+        'status': status,
+        'body': body,
+        'method': method,
+        'path': path
+    };
+    if (status === 400 && message === LINK_UNREACHABLE_MESSAGE) {
+        return new EmbdrLinkUnreachableError(message, details);
+    } else if (status === 400 || status === 422) {
+        return new EmbdrValidationError(message, details);
+    } else if (status === 401 || status === 403) {
+        return new EmbdrAuthError(message, details);
+    } else if (status === 404) {
+        return new EmbdrNotFoundError(message, details);
+    } else if (status === 429) {
+        details.retryAfter = RetryUtil.getRetryAfter(response);
+        return new EmbdrRateLimitError(message, details);
+    }
+    return new EmbdrError(message, details);
+};
+
+/*!
+ * Let a class inherit from a parent class and give its instances a name
+ *
+ * @param  {Function}   ErrorClass              The class that should inherit
+ * @param  {Function}   Parent                  The class to inherit from
+ * @param  {string}     name                    The name of the class
+ */
+function inherit(ErrorClass, Parent, name) {
+    util.inherits(ErrorClass, Parent);
+    ErrorClass.prototype.name = name;
+}
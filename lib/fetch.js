@@ -0,0 +1,303 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var dns = require('dns');
+var net = require('net');
+var request = require('request');
+var Stream = require('stream');
+var url = require('url');
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+/**
+ * Parse the host rules of an allowlist or a denylist. A rule is either a hostname, a hostname with
+ * a wildcard for its subdomains (for example, `*.example.com`), an IP address or a CIDR range (for
+ * example, `10.0.0.0/8` or `fc00::/7`)
+ *
+ * @param  {string[]}       [rules]                     The rules to parse
+ * @return {Object[]}                                   The parsed rules or `null` when no rules were specified
+ * @throws {EmbdrValidationError}                       Thrown when one of the rules is invalid
+ */
+module.exports.parseRules = function(rules) {
+    if (!rules) {
+        return null;
+    }
+
+    return _.map(rules, function(rule) {
+        if (!_.isString(rule) || !rule.trim()) {
+            throw new EmbdrErrors.EmbdrValidationError(util.format('Invalid host rule %s', JSON.stringify(rule)));
+        }
+
+        rule = rule.trim().toLowerCase();
+        var parts = rule.split('/');
+        var bytes = toBytes(parts[0]);
+        if (!bytes) {
+            if (parts.length > 1) {
+                throw new EmbdrErrors.EmbdrValidationError(util.format('Invalid host rule %s: the range should start with an IP address', JSON.stringify(rule)));
+            }
+            return {'hostname': rule};
+        }
+
+        var prefix = (parts.length > 1) ? Number(parts[1]) : bytes.length * 8;
+        if (parts.length > 2 || !_.isFinite(prefix) || Math.floor(prefix) !== prefix || prefix < 0 || prefix > bytes.length * 8) {
+            throw new EmbdrErrors.EmbdrValidationError(util.format('Invalid host rule %s: the prefix length should be between 0 and %d', JSON.stringify(rule), bytes.length * 8));
+        }
+        return {'bytes': bytes, 'prefix': prefix};
+    });
+};
+
+/**
+ * Fetch a link so it can be uploaded. The host of the link, of each redirect and each address the
+ * hosts resolve to are checked against the allowlist and the denylist. The callback is invoked
+ * once the response is in with a stream of its body. The result holds:
+ *
+ *  - `url`:        The URL that was eventually fetched, after following any redirects
+ *  - `status`:     The status code of the response or `null` when there was no response
+ *  - `stream`:     The body of the response
+ *
+ * @param  {string}         link                        The link to fetch
+ * @param  {Object}         options                     The options for fetching the link. See `Embdr.setLinkFallback`
+ * @param  {Object[]}       [options.allow]             The parsed rules for the hosts that can be fetched. See `parseRules`
+ * @param  {Object[]}       [options.deny]              The parsed rules for the hosts that can not be fetched. See `parseRules`
+ * @param  {number}         [options.maxRedirects]      The maximum amount of redirects to follow
+ * @param  {number}         [options.maxBytes]          The maximum size of the body in bytes
+ * @param  {number}         [options.timeout]           The amount of milliseconds to wait for the link to respond
+ * @param  {Object}         [options.headers]           The headers to send along
+ * @param  {Object}         [options.cookies]           The cookies to send along, keyed by their name
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error object when the link is not allowed or could not be fetched
+ * @param  {Object}         callback.result             The fetched link
+ * @return {Request}                                    The in-flight request or `null` when the link is not allowed
+ */
+module.exports.fetch = function(link, options, callback) {
+    callback = _.once(callback);
+    var result = {'url': link, 'status': null, 'stream': null};
+    var fail = function(err) {
+        return callback(err, result);
+    };
+
+    var rejection = checkUrl(link, options);
+    if (rejection) {
+        process.nextTick(function() {
+            return fail(rejection);
+        });
+        return null;
+    }
+
+    var headers = _.extend({}, options.headers);
+    if (!_.isEmpty(options.cookies)) {
+        headers.Cookie = _.map(options.cookies, function(value, name) {
+            return util.format('%s=%s', name, value);
+        }).join('; ');
+    }
+
+    var r = request({
+        'url': link,
+        'method': 'GET',
+        'headers': headers,
+        'timeout': options.timeout || undefined,
+        'maxRedirects': _.isNumber(options.maxRedirects) ? options.maxRedirects : 10,
+        'followRedirect': function(response) {
+            // Check the host of the redirect before it's followed. Credentials and the configured
+            // headers are only sent to the host of the link itself
+            var location = url.resolve(this.uri.href, response.headers.location);
+            rejection = checkUrl(location, options);
+            if (!rejection && url.parse(location).hostname !== url.parse(link).hostname) {
+                _.each(_.keys(options.headers).concat('cookie', 'authorization'), function(name) {
+                    this.removeHeader(name);
+                }, this);
+            }
+            return !rejection;
+        },
+
+        // Each address a host resolves to is checked before connecting to it. A new connection is
+        // made for each request so an address that was checked for an earlier request is not reused
+        'pool': false,
+        'lookup': function(hostname, lookupOptions, lookupCallback) {
+            dns.lookup(hostname, lookupOptions, function(err, address, family) {
+                if (err) {
+                    return lookupCallback(err);
+                }
+
+                var addresses = _.isArray(address) ? _.pluck(address, 'address') : [address];
+                var invalid = _.find(_.map(addresses, function(candidate) {
+                    return checkHost(hostname, candidate, options);
+                }));
+                if (invalid) {
+                    return lookupCallback(notAllowed(r.uri.href, invalid.message));
+                }
+                return lookupCallback(null, address, family);
+            });
+        }
+    });
+
+    // The body is buffered until the caller starts reading it
+    var stream = r.pipe(new Stream.PassThrough());
+
+    r.on('error', function(err) {
+        if (err instanceof EmbdrErrors.EmbdrError) {
+            return fail(err);
+        } else if (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT') {
+            return fail(new EmbdrErrors.EmbdrNetworkError(util.format('The link %s did not respond in time', result.url), {'method': 'GET', 'path': result.url, 'err': err}));
+        }
+        return fail(new EmbdrErrors.EmbdrNetworkError(util.format('The link %s could not be fetched', result.url), {'method': 'GET', 'path': result.url, 'err': err}));
+    });
+    r.on('response', function(response) {
+        result.url = r.uri.href;
+        result.status = response.statusCode;
+
+        var length = Number(response.headers['content-length']);
+        if (rejection) {
+            r.abort();
+            return fail(rejection);
+        } else if (response.statusCode < 200 || response.statusCode >= 300) {
+            r.abort();
+            return fail(new EmbdrErrors.EmbdrLinkUnreachableError(util.format('The link %s responded with a %d status code', result.url, response.statusCode), {'method': 'GET', 'path': result.url, 'status': response.statusCode}));
+        } else if (options.maxBytes && length > options.maxBytes) {
+            r.abort();
+            return fail(new EmbdrErrors.EmbdrValidationError(util.format('The file is larger than the maximum of %d bytes', options.maxBytes), {'method': 'GET', 'path': result.url}));
+        }
+
+        result.stream = stream;
+        return callback(null, result);
+    });
+    return r;
+};
+
+/*!
+ * Check whether a URL can be fetched. Hosts that are specified by name can only be fully checked
+ * once they have been resolved
+ *
+ * @param  {string}         link                        The URL to check
+ * @param  {Object}         options                     The options that were passed into `fetch`
+ * @return {EmbdrValidationError}                       The error explaining why the URL can't be fetched or `null` when it can
+ */
+var checkUrl = function(link, options) {
+    var parsed = url.parse(link);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return notAllowed(link, 'only http and https links can be fetched');
+
+    // Unix domain sockets have to be addressed as `http://unix:/path/to/socket:/path`
+    } else if (!parsed.hostname || parsed.hostname === 'unix') {
+        return notAllowed(link, 'it has no valid host');
+    }
+
+    var hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    var rejection = checkHost(hostname, net.isIP(hostname) ? hostname : null, options);
+    return rejection && notAllowed(link, rejection.message);
+};
+
+/*!
+ * Check a host against the allowlist and the denylist
+ *
+ * @param  {string}         hostname                    The hostname to check
+ * @param  {string}         [address]                   The address the hostname resolved to. When this is unknown, hosts that aren't allowed by name are given the benefit of the doubt
+ * @param  {Object}         options                     The options that were passed into `fetch`
+ * @return {Error}                                      The error explaining why the host is not allowed or `null` when it is
+ */
+var checkHost = function(hostname, address, options) {
+    if (options.deny && matches(options.deny, hostname, address)) {
+        return new Error(util.format('the host %s is denied', address || hostname));
+    } else if (options.allow && address && !matches(options.allow, hostname, address)) {
+        return new Error(util.format('the host %s is not allowed', address));
+    }
+    return null;
+};
+
+/*!
+ * Whether a host matches any of the given rules
+ *
+ * @param  {Object[]}       rules                       The parsed rules
+ * @param  {string}         hostname                    The hostname to match
+ * @param  {string}         [address]                   The address the hostname resolved to
+ * @return {boolean}                                    Whether the host matches any of the rules
+ */
+var matches = function(rules, hostname, address) {
+    hostname = hostname.toLowerCase();
+    var bytes = address ? toBytes(address) : null;
+    return _.some(rules, function(rule) {
+        if (rule.hostname) {
+            return (hostname === rule.hostname || (_.startsWith(rule.hostname, '*.') && _.endsWith(hostname, rule.hostname.slice(1))));
+        }
+        return (bytes && inRange(bytes, rule.bytes, rule.prefix));
+    });
+};
+
+/*!
+ * Whether an address falls within a range
+ *
+ * @param  {number[]}       bytes                       The bytes of the address
+ * @param  {number[]}       rangeBytes                  The bytes of the first address of the range
+ * @param  {number}         prefix                      The amount of leading bits that are fixed in the range
+ * @return {boolean}                                    Whether the address falls within the range
+ */
+var inRange = function(bytes, rangeBytes, prefix) {
+    if (bytes.length !== rangeBytes.length) {
+        return false;
+    }
+
+    for (var i = 0; i < bytes.length && prefix > 0; i++, prefix -= 8) {
+        var mask = (0xff << (8 - Math.min(prefix, 8))) & 0xff;
+        if ((bytes[i] & mask) !== (rangeBytes[i] & mask)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/*!
+ * Convert an IP address to its bytes. IPv4 addresses that are mapped to IPv6 addresses (for
+ * example, `::ffff:127.0.0.1`) are converted to their IPv4 bytes
+ *
+ * @param  {string}         address                     The IP address to convert
+ * @return {number[]}                                   The 4 or 16 bytes of the address or `null` when it's not an IP address
+ */
+var toBytes = function(address) {
+    if (net.isIPv4(address)) {
+        return _.map(address.split('.'), Number);
+    }
+
+    address = address.split('%')[0];
+    if (!net.isIPv6(address)) {
+        return null;
+    }
+
+    // Replace a trailing IPv4 address with its two hexadecimal groups
+    var ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+    if (ipv4) {
+        var high = (Number(ipv4[1]) << 8) + Number(ipv4[2]);
+        var low = (Number(ipv4[3]) << 8) + Number(ipv4[4]);
+        address = address.slice(0, ipv4.index) + high.toString(16) + ':' + low.toString(16);
+    }
+
+    // Expand the `::` shorthand to the zero groups it stands for
+    var halves = address.split('::');
+    var head = halves[0] ? halves[0].split(':') : [];
+    var tail = (halves.length > 1 && halves[1]) ? halves[1].split(':') : [];
+    var groups = head.concat(_.fill(new Array(8 - head.length - tail.length), '0'), tail);
+
+    var bytes = _.flatten(_.map(groups, function(group) {
+        var value = parseInt(group, 16);
+        return [value >> 8, value & 0xff];
+    }));
+    if (!_.some(bytes.slice(0, 10)) && bytes[10] === 0xff && bytes[11] === 0xff) {
+        return bytes.slice(12);
+    }
+    return bytes;
+};
+
+/*!
+ * Create the error for a link that can't be fetched
+ *
+ * @param  {string}         link                        The link that can't be fetched
+ * @param  {string}         reason                      Why the link can't be fetched
+ * @return {EmbdrValidationError}                       The error explaining why the link can't be fetched
+ */
+var notAllowed = function(link, reason) {
+    return new EmbdrErrors.EmbdrValidationError(util.format('The link %s can not be fetched: %s', link, reason), {'method': 'GET', 'path': link});
+};
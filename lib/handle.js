@@ -0,0 +1,198 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+module.exports = ProcessingHandle;
+
+/**
+ * A handle on an item that is being processed. It is returned by `Embdr.prototype.process` and
+ * emits the following events:
+ *
+ *  - `uploadProgress`:   Part of the item has been uploaded. An object with the amount of `bytes` that have been sent and the `total` amount of bytes, or `null` when it isn't known, is passed along
+ *  - `start`:      The resource has been created. The created resource is passed along
+ *  - `progress`:   The resource has been polled. The latest version of the resource is passed along
+ *  - `thumbnail:ready`:    A thumbnail has been generated. An object with the `type`, `size` and `preview` is passed along
+ *  - `image:ready`:        An image preview has been generated. An object with the `type`, `size` and `preview` is passed along
+ *  - `preview:failed`:     A thumbnail or image preview could not be generated. An object with the `type`, `size` and `preview` is passed along
+ *  - `thumbnails`: All the thumbnails have been processed. The thumbnails are passed along, followed by an object that lists the sizes that `succeeded` and `failed`
+ *  - `images`:     All the image previews have been processed. The image previews are passed along, followed by an object that lists the sizes that `succeeded` and `failed`
+ *  - `complete`:   The resource has been fully processed. The processed resource is passed along, followed by the manifest of saved previews when they were downloaded
+ *  - `error`:      The resource could not be processed. The error object is passed along
+ *  - `cancel`:     Processing was cancelled through `cancel`
+ *
+ * The handle is also a "thenable" which settles in the same way as the callbacks passed into
+ * `process`. This means it can be awaited or chained like a regular Promise.
+ *
+ * @constructor
+ * @param  {Scheduler}  scheduler           The scheduler the polls of the resource are scheduled with
+ */
+function ProcessingHandle(scheduler) {
+    var self = this;
+    EventEmitter.call(self);
+
+    // The latest known version of the resource
+    self.resource = null;
+
+    // Whether processing was cancelled through `cancel`
+    self.cancelled = false;
+
+    // The job under which the resource is recorded in the job store while it's being polled
+    self.job = null;
+
+    // Whether an existing resource with the same content was used rather than uploading the item
+    self.cached = false;
+
+    // The scheduler, the pending poll and any in-flight HTTP requests
+    self._scheduler = scheduler;
+    self._task = null;
+    self._requests = [];
+
+    // The `timeout` and `headers` overrides for each request that is made for the resource
+    self._requestOptions = {};
+
+    // When processing started and how many times the resource has been polled since
+    self._startedAt = Date.now();
+    self._polls = 0;
+
+    // The status each finished preview was reported with, keyed by `{type}:{size}`
+    self._previews = {};
+
+    // Whether processing completed, failed or was cancelled
+    self._settled = false;
+    self._promise = new Promise(function(resolve, reject) {
+        self._resolve = function(value) {
+            self._settled = true;
+            resolve(value);
+        };
+        self._reject = function(err) {
+            self._settled = true;
+            reject(err);
+        };
+    });
+
+    // Callers that rely on the `error` callback or event rather than on the promise should not
+    // trigger an unhandled rejection when processing fails
+    self._promise.catch(function() {});
+}
+util.inherits(ProcessingHandle, EventEmitter);
+
+/**
+ * Attach callbacks for the resolution and/or rejection of the processing
+ *
+ * @param  {Function}   [onFulfilled]       Called with the fully processed resource
+ * @param  {Function}   [onRejected]        Called with the error object when processing failed or was cancelled
+ * @return {Promise}                        A Promise for the result of whichever callback is invoked
+ */
+ProcessingHandle.prototype.then = function(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Attach a callback for the rejection of the processing
+ *
+ * @param  {Function}   onRejected          Called with the error object when processing failed or was cancelled
+ * @return {Promise}                        A Promise for the result of the callback
+ */
+ProcessingHandle.prototype.catch = function(onRejected) {
+    return this._promise.catch(onRejected);
+};
+
+/**
+ * Stop processing the item. The pending poller is stopped and any in-flight request or upload is
+ * aborted. None of the callbacks will be invoked after this, and the handle's promise is rejected.
+ * Cancelling a handle that has already completed or failed has no effect
+ */
+ProcessingHandle.prototype.cancel = function() {
+    if (this.cancelled || this._settled) {
+        return;
+    }
+    this.cancelled = true;
+
+    this._scheduler.remove(this._task);
+    this._task = null;
+
+    _.each(this._requests, function(req) {
+        req.abort();
+    });
+    this._requests = [];
+
+    this._reject(new EmbdrErrors.EmbdrCancelledError('Processing was cancelled'));
+    this.emit('cancel');
+};
+
+/**
+ * Keep track of an in-flight request so it can be aborted when processing is cancelled
+ *
+ * @param  {Request}    req                 The in-flight request
+ * @return {Request}                        The same request
+ * @api private
+ */
+ProcessingHandle.prototype._track = function(req) {
+    if (req && _.isFunction(req.abort)) {
+        this._requests.push(req);
+    }
+    return req;
+};
+
+/**
+ * Stop keeping track of a request that has finished
+ *
+ * @param  {Request}    req                 The finished request
+ * @api private
+ */
+ProcessingHandle.prototype._untrack = function(req) {
+    _.pull(this._requests, req);
+};
+
+/**
+ * Schedule a function to run after the given amount of milliseconds. Any previously scheduled
+ * function is replaced. Nothing is scheduled once processing has been cancelled
+ *
+ * @param  {Function}   fn                  The function to run. It's passed a callback that it should invoke once it has finished. See `Scheduler.prototype.add`
+ * @param  {number}     timeout             The amount of milliseconds to wait
+ * @api private
+ */
+ProcessingHandle.prototype._schedule = function(fn, timeout) {
+    this._scheduler.remove(this._task);
+    this._task = null;
+    if (!this.cancelled) {
+        this._task = this._scheduler.add(fn, timeout);
+    }
+};
+
+/**
+ * Indicate that the resource has been fully processed
+ *
+ * @param  {Object}     resource            The processed resource
+ * @param  {Object[]}   [manifest]          The previews that were saved, if any
+ * @api private
+ */
+ProcessingHandle.prototype._complete = function(resource, manifest) {
+    this.resource = resource;
+    this._resolve(resource);
+    this.emit('complete', resource, manifest);
+};
+
+/**
+ * Indicate that the resource could not be processed
+ *
+ * @param  {Object}     err                 The error object explaining what went wrong
+ * @api private
+ */
+ProcessingHandle.prototype._fail = function(err) {
+    this._reject(err);
+
+    // An `error` event without any listeners would throw, so it's only emitted when the caller
+    // has subscribed to it
+    if (this.listeners('error').length > 0) {
+        this.emit('error', err);
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var fs = require('fs');
+var Stream = require('stream');
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+// The algorithm the content of an item is hashed with
+var ALGORITHM = 'sha256';
+
+/**
+ * Hash the content of a buffer or a file on disk
+ *
+ * @param  {Buffer|string}  item                The buffer or the path of the file to hash
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error object when the file could not be read
+ * @param  {string}         callback.hash       The hex-encoded hash of the content
+ */
+module.exports.hash = function(item, callback) {
+    callback = _.once(callback);
+    var hash = crypto.createHash(ALGORITHM);
+    if (Buffer.isBuffer(item)) {
+        hash.update(item);
+        return process.nextTick(function() {
+            return callback(null, hash.digest('hex'));
+        });
+    }
+
+    var stream = fs.createReadStream(item);
+    stream.on('error', function(err) {
+        return callback(new EmbdrErrors.EmbdrStreamError('The file could not be read', {'err': err}));
+    });
+    stream.on('data', function(chunk) {
+        hash.update(chunk);
+    });
+    stream.on('end', function() {
+        return callback(null, hash.digest('hex'));
+    });
+};
+
+/**
+ * Hash the content of a stream as it's being read. The returned stream passes the content through
+ * and holds the hex-encoded hash in its `hash` property once all of the content has been read
+ *
+ * @param  {Stream}         stream              The stream to hash
+ * @return {Stream}                             The stream that should be read instead
+ */
+module.exports.createHashStream = function(stream) {
+    var hash = crypto.createHash(ALGORITHM);
+    var output = new Stream.Transform();
+    output.hash = null;
+    output._transform = function(chunk, encoding, callback) {
+        hash.update(chunk);
+        return callback(null, chunk);
+    };
+    output._flush = function(callback) {
+        output.hash = hash.digest('hex');
+        return callback();
+    };
+
+    stream.on('error', function(err) {
+        output.emit('error', err);
+    });
+    return stream.pipe(output);
+};
+
+/**
+ * Get the key under which the resource for some content is cached. As the same content results in
+ * different previews depending on the requested sizes, these are part of the key. Their order
+ * doesn't matter. Resources that were created with another API key than the client's are cached
+ * within a scope
+ *
+ * @param  {string}         hash                The hex-encoded hash of the content
+ * @param  {string[]}       [thumbnailSizes]    The normalized thumbnail sizes
+ * @param  {string[]}       [imageSizes]        The normalized image sizes
+ * @param  {string}         [scope]             The scope of the resource. For example, the hash of the API key it was created with
+ * @return {string}                             The cache key
+ */
+module.exports.getKey = function(hash, thumbnailSizes, imageSizes, scope) {
+    var sorted = function(sizes) {
+        return _.sortBy(sizes || []).join(',');
+    };
+    var key = util.format('%s:%s:%s:%s', ALGORITHM, hash, sorted(thumbnailSizes), sorted(imageSizes));
+    return scope ? scope + ':' + key : key;
+};
@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var Busboy = require('busboy');
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+/**
+ * Create a handler that streams a file that is uploaded through a multipart form straight to the
+ * REST API. The file is never buffered in memory or written to disk. Once the resource has been
+ * created, it's available as `req.embdr` and the other fields of the form are available as
+ * `req.body`. The handler can be used as Connect-style middleware or as a plain `http` request
+ * listener.
+ *
+ * When the upload fails, the error is passed on to `next`. It's answered with a 400 when the
+ * request itself is at fault, for example because the file is too large, and with a 502 otherwise
+ * when there is no `next` or when `options.respond` is set.
+ *
+ * @param  {Embdr}      embdr                           The Embdr client to upload the file with
+ * @param  {Object}     [options]                       A set of extra options
+ * @param  {string}     [options.field]                 The name of the field that holds the file. Defaults to `file`. Files in other fields are ignored
+ * @param  {Object}     [options.thumbnails]            The thumbnail options
+ * @param  {string[]}   [options.thumbnails.sizes]      The sizes for the thumbnails. See `Embdr.prototype.process`
+ * @param  {Object}     [options.images]                The image preview options
+ * @param  {string[]}   [options.images.sizes]          The sizes for the image previews. See `Embdr.prototype.process`
+ * @param  {number}     [options.maxBytes]              The maximum size of the file in bytes. The upload is aborted as soon as the file exceeds it
+ * @param  {string[]}   [options.allowedTypes]          The content types the file can have. For example, `['image/*', 'application/pdf']`
+ * @param  {boolean}    [options.respond]               Answer the request with the created resource rather than passing it on to `next`
+ * @return {Function}                                   The request handler. It has the signature `function(req, res, [next])`
+ * @throws {EmbdrValidationError}                       Thrown when one of the sizes is invalid
+ */
+module.exports.createHandler = function(embdr, options) {
+    options = options || {};
+    var field = options.field || 'file';
+
+    // Validate the sizes up front, rather than failing each upload
+    var sizes = embdr._getProcessSizes({
+        'thumbnails': options.thumbnails || {},
+        'images': options.images || {}
+    });
+
+    return function(req, res, next) {
+        var busboy = null;
+        var upload = null;
+        var resource = null;
+        var finished = false;
+        var fields = {};
+
+        var done = _.once(function(err) {
+            req.body = _.extend(_.isPlainObject(req.body) ? req.body : {}, fields);
+            if (err) {
+                // Stop uploading and reading the request
+                if (upload) {
+                    upload.abort();
+                }
+                if (busboy) {
+                    req.unpipe(busboy);
+                }
+                req.resume();
+
+                if (_.isFunction(next) && !options.respond) {
+                    return next(err);
+                }
+                var statusCode = (err instanceof EmbdrErrors.EmbdrValidationError && !err.status) ? 400 : 502;
+                return respond(res, statusCode, {'code': statusCode, 'message': err.message});
+            }
+
+            req.embdr = resource;
+            if (_.isFunction(next) && !options.respond) {
+                return next();
+            }
+            return respond(res, 201, resource);
+        });
+
+        // The resource can only be passed on once the whole form has been read and the upload has
+        // finished, whichever comes last
+        var complete = function() {
+            if (!finished) {
+                return;
+            } else if (!upload) {
+                return done(new EmbdrErrors.EmbdrValidationError(util.format('The request has no file in the %s field', field)));
+            } else if (resource) {
+                return done();
+            }
+        };
+
+        try {
+            busboy = new Busboy({'headers': req.headers});
+        } catch (err) {
+            return done(new EmbdrErrors.EmbdrValidationError('The request is not a multipart form', {'err': err}));
+        }
+
+        busboy.on('field', function(name, value) {
+            fields[name] = value;
+        });
+        busboy.on('file', function(name, file, filename) {
+            // Only the first file in the field is uploaded, other files are skipped
+            if (name !== field || upload) {
+                return file.resume();
+            }
+
+            var createOptions = _.extend({
+                'thumbnailSizes': sizes.thumbnailSizes,
+                'imageSizes': sizes.imageSizes,
+                'filename': filename || undefined
+            }, _.pick(options, 'maxBytes', 'allowedTypes'));
+            upload = embdr.resources.createFile(file, createOptions, function(err, createdResource) {
+                if (err) {
+                    return done(err);
+                }
+
+                resource = createdResource;
+                return complete();
+            });
+        });
+        busboy.on('error', function(err) {
+            return done(new EmbdrErrors.EmbdrValidationError('The multipart form could not be read', {'err': err}));
+        });
+        busboy.on('finish', function() {
+            finished = true;
+            return complete();
+        });
+        req.pipe(busboy);
+    };
+};
+
+/*!
+ * Send a JSON response
+ *
+ * @param  {Response}   res                 The response to send
+ * @param  {number}     statusCode          The status code to respond with
+ * @param  {Object}     body                The body to respond with
+ */
+var respond = function(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+};
@@ -0,0 +1,430 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+module.exports = Queue;
+
+// The default amount of items that can be uploaded at the same time
+Queue.DEFAULT_CONCURRENCY = 4;
+
+// The default amount of items that can be processed at the same time. This includes the items that
+// are being uploaded and the resources that are being polled
+Queue.DEFAULT_MAX_PENDING = 20;
+
+/**
+ * A queue that processes items with a limited amount of concurrent uploads and pending resources.
+ * It's returned by `Embdr.prototype.queue` and `Embdr.prototype.processAll` and emits the
+ * following events:
+ *
+ *  - `process`:    An item is being processed. The item's entry and its processing handle are passed along
+ *  - `progress`:   An item has changed state. The item's entry and the queue's statistics are passed along
+ *  - `item`:       An item has been fully processed, or has failed. The item's entry and the queue's statistics are passed along
+ *  - `end`:        All items have been processed. The summary is passed along
+ *
+ * An entry describes a single item and has the following properties:
+ *
+ *  - `input`:      The path or link that was processed. Buffers and streams are identified by `#` followed by the index of the item
+ *  - `index`:      The order in which the item was added to the queue, starting at 0
+ *  - `status`:     One of `queued`, `uploading`, `pending`, `succeeded`, `failed` or `unsupported`
+ *  - `id`:         The id of the resource, once it has been created
+ *  - `resource`:   The latest known version of the resource, once it has been created
+ *  - `error`:      The error object explaining what went wrong, if the item failed
+ *
+ * A failing item doesn't stop the queue. An item is considered to have failed when it could not be
+ * created or polled, or when any of its previews could not be generated. The summary contains the
+ * `succeeded`, `failed` and `unsupported` entries. It maps each input to the entries for it, in the
+ * order the items were added, as the same input can be added more than once (`inputs`). Each entry
+ * with a resource is mapped by its resource id (`resources`).
+ *
+ * The queue is also a "thenable" which is resolved with the summary once `end` has been called and
+ * all items have been processed. It's only rejected when the items could not be retrieved.
+ *
+ * @constructor
+ * @param  {Embdr}      embdr                       The Embdr client to process the items with
+ * @param  {Object}     [options]                   A set of extra options
+ * @param  {number}     [options.concurrency]       The maximum amount of items that are uploaded at the same time. Defaults to `Queue.DEFAULT_CONCURRENCY`
+ * @param  {number}     [options.maxPending]        The maximum amount of items that are processed at the same time, including the ones that are being uploaded. Defaults to `Queue.DEFAULT_MAX_PENDING`
+ * @param  {number}     [options.ratePerSecond]     The maximum amount of items that are started per second. By default, items are started as soon as there is room
+ */
+function Queue(embdr, options) {
+    var self = this;
+    EventEmitter.call(self);
+    options = options || {};
+
+    self._embdr = embdr;
+    self._concurrency = options.concurrency || Queue.DEFAULT_CONCURRENCY;
+    self._maxPending = Math.max(options.maxPending || Queue.DEFAULT_MAX_PENDING, self._concurrency);
+    self._interval = options.ratePerSecond ? (1000 / options.ratePerSecond) : 0;
+
+    // Whether processing was cancelled through `cancel`
+    self.cancelled = false;
+
+    // All the entries, in the order they were added
+    self.entries = [];
+
+    // The items that are waiting to be started, with the options they should be processed with
+    self._waiting = [];
+
+    // The processing handles of the items that have been started, but have not finished yet
+    self._handles = {};
+
+    // The amount of items for each status
+    self._stats = {
+        'queued': 0,
+        'uploading': 0,
+        'pending': 0,
+        'succeeded': 0,
+        'failed': 0,
+        'unsupported': 0
+    };
+
+    // The iterator items are pulled from when there is room, see `_consume`
+    self._iterator = null;
+    self._iteratorOptions = null;
+    self._pulling = false;
+
+    self._ended = false;
+    self._error = null;
+    self._finished = false;
+    self._lastStart = 0;
+    self._timeout = null;
+
+    self._promise = new Promise(function(resolve, reject) {
+        self._resolve = resolve;
+        self._reject = reject;
+    });
+
+    // Callers that rely on the `end` event rather than on the promise should not trigger an
+    // unhandled rejection when the items could not be retrieved
+    self._promise.catch(function() {});
+}
+util.inherits(Queue, EventEmitter);
+
+/**
+ * Add an item to the queue
+ *
+ * @param  {Stream|Buffer|string}   item            The item to process. See `Embdr.prototype.process`
+ * @param  {Object}                 [options]       The options and callbacks the item should be processed with. See `Embdr.prototype.process`
+ * @return {Object}                                 The entry for the item
+ * @throws {EmbdrValidationError}                   Thrown when one of the sizes is invalid
+ */
+Queue.prototype.push = function(item, options) {
+    if (this._ended) {
+        throw new Error('No items can be added to a queue that has ended');
+    }
+
+    // Report invalid sizes straight away rather than once the item is started
+    options = options || {};
+    this._embdr._getProcessSizes(options);
+
+    var index = this.entries.length;
+    var entry = {
+        'input': _.isString(item) ? item : '#' + index,
+        'index': index,
+        'status': null,
+        'id': null,
+        'resource': null,
+        'error': null
+    };
+    this.entries.push(entry);
+    this._waiting.push({'entry': entry, 'item': item, 'options': options});
+
+    this._setStatus(entry, 'queued');
+    this._next();
+    return entry;
+};
+
+/**
+ * Indicate that no more items will be added. Once all items have been processed, the queue is
+ * resolved with the summary
+ */
+Queue.prototype.end = function() {
+    this._ended = true;
+    this._next();
+};
+
+/**
+ * Stop processing. Items that haven't been started are dropped and the items that are being
+ * processed are cancelled and marked as `failed`. The queue is resolved with the summary of the
+ * items that were started
+ */
+Queue.prototype.cancel = function() {
+    if (this.cancelled) {
+        return;
+    }
+    this.cancelled = true;
+    this._ended = true;
+
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    this._iterator = null;
+
+    var dropped = _.pluck(this._waiting, 'entry');
+    this.entries = _.difference(this.entries, dropped);
+    this._stats.queued -= dropped.length;
+    this._waiting = [];
+
+    _.invoke(_.values(this._handles), 'cancel');
+    this._next();
+};
+
+/**
+ * Get the statistics of the queue
+ *
+ * @return {Object}                         The amount of items that have been added (`total`) and the amount of items for each status
+ */
+Queue.prototype.getStats = function() {
+    return _.extend({'total': this.entries.length}, this._stats);
+};
+
+/**
+ * Attach callbacks for the resolution and/or rejection of the queue
+ *
+ * @param  {Function}   [onFulfilled]       Called with the summary
+ * @param  {Function}   [onRejected]        Called with the error object when the items could not be retrieved
+ * @return {Promise}                        A Promise for the result of whichever callback is invoked
+ */
+Queue.prototype.then = function(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Attach a callback for the rejection of the queue
+ *
+ * @param  {Function}   onRejected          Called with the error object when the items could not be retrieved
+ * @return {Promise}                        A Promise for the result of the callback
+ */
+Queue.prototype.catch = function(onRejected) {
+    return this._promise.catch(onRejected);
+};
+
+/**
+ * Pull items from an iterator as there is room for them. The queue ends once the iterator is done
+ *
+ * @param  {Object}     iterator            A synchronous or asynchronous iterator of items
+ * @param  {Object}     [options]           The options and callbacks the items should be processed with
+ * @api private
+ */
+Queue.prototype._consume = function(iterator, options) {
+    this._iterator = iterator;
+    this._iteratorOptions = options;
+    this._next();
+};
+
+/**
+ * Start as many items as the limits allow, pull more items from the iterator when there's room and
+ * finish the queue once everything has been processed
+ *
+ * @api private
+ */
+Queue.prototype._next = function() {
+    var self = this;
+    if (self._finished) {
+        return;
+    }
+
+    var stats = self._stats;
+    var hasRoom = function() {
+        return (stats.uploading < self._concurrency && (stats.uploading + stats.pending) < self._maxPending);
+    };
+
+    while (self._waiting.length > 0 && hasRoom()) {
+        // Wait until the next item can be started without exceeding the rate
+        var wait = self._lastStart + self._interval - Date.now();
+        if (wait > 0) {
+            return self._wait(wait);
+        }
+
+        self._start(self._waiting.shift());
+    }
+
+    if (self._iterator && !self._pulling && self._waiting.length === 0 && hasRoom()) {
+        return self._pull();
+    }
+
+    var isDone = (self._ended && !self._iterator && self._waiting.length === 0 && _.isEmpty(self._handles));
+    if (isDone) {
+        self._finish();
+    }
+};
+
+/**
+ * Try to start the next items after the given amount of milliseconds
+ *
+ * @param  {number}     timeout             The amount of milliseconds to wait
+ * @api private
+ */
+Queue.prototype._wait = function(timeout) {
+    var self = this;
+    if (self._timeout) {
+        return;
+    }
+
+    self._timeout = setTimeout(function() {
+        self._timeout = null;
+        self._next();
+    }, timeout);
+};
+
+/**
+ * Stop adding items because they could not be retrieved. The items that have already been added
+ * are still processed, after which the queue is rejected
+ *
+ * @param  {Object}     err                 The error object explaining why the items could not be retrieved
+ * @api private
+ */
+Queue.prototype._fail = function(err) {
+    this._error = err;
+    this._iterator = null;
+    this.end();
+};
+
+/**
+ * Pull the next item from the iterator
+ *
+ * @api private
+ */
+Queue.prototype._pull = function() {
+    var self = this;
+    var iterator = self._iterator;
+    self._pulling = true;
+
+    Promise.resolve()
+        .then(function() {
+            return iterator.next();
+        })
+        .then(function(result) {
+            self._pulling = false;
+            if (iterator !== self._iterator) {
+                return;
+            } else if (result.done) {
+                self._iterator = null;
+                return self.end();
+            }
+
+            self.push(result.value, self._iteratorOptions);
+        }, function(err) {
+            self._pulling = false;
+            self._fail(new EmbdrErrors.EmbdrStreamError('The items could not be retrieved', {'err': err}));
+        });
+};
+
+/**
+ * Start processing an item
+ *
+ * @param  {Object}     waiting             The waiting item
+ * @api private
+ */
+Queue.prototype._start = function(waiting) {
+    var self = this;
+    var entry = waiting.entry;
+    self._lastStart = Date.now();
+
+    var handle = self._embdr.process(waiting.item, _.clone(waiting.options));
+    self._handles[entry.index] = handle;
+    self.emit('process', entry, handle);
+    self._setStatus(entry, 'uploading');
+
+    handle.on('start', function(resource) {
+        entry.id = resource.id;
+        entry.resource = resource;
+        self._setStatus(entry, 'pending');
+
+        // There's room for another upload
+        self._next();
+    });
+    handle.on('progress', function(resource) {
+        entry.resource = resource;
+        self._emitProgress(entry);
+    });
+
+    handle.then(function(resource) {
+        entry.resource = resource;
+        if (resource.status === 'unsupported') {
+            self._settle(entry, 'unsupported');
+        } else if (resource.status === 'done' && _.every(resource.thumbnails.concat(resource.images), {'status': 'done'})) {
+            self._settle(entry, 'succeeded');
+        } else {
+            entry.error = new EmbdrErrors.EmbdrProcessingError('The resource could not be fully processed', {'body': resource});
+            self._settle(entry, 'failed');
+        }
+    }, function(err) {
+        entry.error = err;
+        self._settle(entry, 'failed');
+    });
+};
+
+/**
+ * Indicate that an item has been fully processed, or has failed
+ *
+ * @param  {Object}     entry               The entry of the item
+ * @param  {string}     status              The final status of the item. One of `succeeded`, `failed` or `unsupported`
+ * @api private
+ */
+Queue.prototype._settle = function(entry, status) {
+    delete this._handles[entry.index];
+    this._setStatus(entry, status);
+    this.emit('item', entry, this.getStats());
+    this._next();
+};
+
+/**
+ * Resolve the queue with the summary of all items
+ *
+ * @api private
+ */
+Queue.prototype._finish = function() {
+    this._finished = true;
+    if (this._error) {
+        this._reject(this._error);
+        if (this.listeners('error').length > 0) {
+            this.emit('error', this._error);
+        }
+        return;
+    }
+
+    var summary = {
+        'total': this.entries.length,
+        'succeeded': _.filter(this.entries, {'status': 'succeeded'}),
+        'failed': _.filter(this.entries, {'status': 'failed'}),
+        'unsupported': _.filter(this.entries, {'status': 'unsupported'}),
+        'inputs': _.groupBy(this.entries, 'input'),
+        'resources': _.indexBy(_.filter(this.entries, 'id'), 'id')
+    };
+    this._resolve(summary);
+    this.emit('end', summary);
+};
+
+/**
+ * Change the status of an item and let the caller know about it
+ *
+ * @param  {Object}     entry               The entry of the item
+ * @param  {string}     status              The new status of the item
+ * @api private
+ */
+Queue.prototype._setStatus = function(entry, status) {
+    if (entry.status) {
+        this._stats[entry.status]--;
+    }
+    entry.status = status;
+    this._stats[status]++;
+    this._emitProgress(entry);
+};
+
+/**
+ * Let the caller know an item has changed
+ *
+ * @param  {Object}     entry               The entry of the item
+ * @api private
+ */
+Queue.prototype._emitProgress = function(entry) {
+    this.emit('progress', entry, this.getStats());
+};
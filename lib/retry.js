@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Stream = require('stream');
+
+/**
+ * Get the amount of milliseconds that should be waited before retrying a failed request. When the
+ * REST API specified a `Retry-After` header, it is respected. Otherwise the delay grows
+ * exponentially with each attempt. A random jitter of up to half the delay is subtracted so that
+ * clients that failed at the same time don't all retry at the same time
+ *
+ * @param  {number}     attempt                 The number of the attempt that failed, starting at 1
+ * @param  {Object}     options                 The retry options
+ * @param  {number}     options.minDelay        The amount of milliseconds to wait after the first attempt
+ * @param  {number}     options.maxDelay        The maximum amount of milliseconds to wait
+ * @param  {number}     options.factor          The factor by which the delay grows with each attempt
+ * @param  {Response}   [response]              The response of the failed attempt, if any
+ * @return {number}                             The amount of milliseconds to wait
+ */
+module.exports.getDelay = function(attempt, options, response) {
+    var retryAfter = getRetryAfter(response);
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, options.maxDelay);
+    }
+
+    var delay = Math.min(options.minDelay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+    return Math.round(delay - (Math.random() * delay / 2));
+};
+
+/**
+ * Whether a request that failed can be retried
+ *
+ * @param  {Response}   [response]              The response of the failed request. When there is no response, the REST API could not be reached
+ * @param  {Object}     options                 The retry options
+ * @param  {number[]}   options.statusCodes     The status codes that should be retried
+ * @return {boolean}                            Whether the request can be retried
+ */
+module.exports.isRetryable = function(response, options) {
+    if (!response) {
+        return true;
+    }
+    return _.contains(options.statusCodes, response.statusCode);
+};
+
+/**
+ * Prepare the data of a request so it can be sent more than once. Buffers and regular values can be
+ * re-used as is, but a stream can only be consumed once. Depending on the `mode`, streams are:
+ *
+ *  - `buffer`: Read into memory
+ *  - `spool`:  Written to a temporary file which is read again for each attempt
+ *  - `fail`:   Left as is. The data can only be sent once
+ *
+ * @param  {Object}     data                    The data of the request
+ * @param  {string}     mode                    How streams should be handled. One of `buffer`, `spool` or `fail`
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error object when a stream could not be prepared
+ * @param  {Function}   callback.getData        Returns the data for an attempt
+ * @param  {Function}   callback.cleanup        Cleans up any temporary files. Should be invoked once the request is done
+ * @param  {boolean}    callback.replayable     Whether the data can be sent more than once
+ */
+module.exports.prepare = function(data, mode, callback) {
+    var streams = _.pick(data, function(value) {
+        return (value instanceof Stream);
+    });
+    if (_.isEmpty(streams) || mode === 'fail') {
+        return callback(null, _.constant(data), _.noop, _.isEmpty(streams));
+    }
+
+    var prepared = {};
+    var spooled = [];
+    var cleanup = function() {
+        _.each(spooled, function(spoolPath) {
+            fs.unlink(spoolPath, _.noop);
+        });
+    };
+
+    var keys = _.keys(streams);
+    var done = _.after(keys.length, function() {
+        return callback(null, function() {
+            return _.mapValues(data, function(value, key) {
+                if (!_.has(prepared, key)) {
+                    return value;
+                } else if (Buffer.isBuffer(prepared[key])) {
+                    return prepared[key];
+                }
+                return fs.createReadStream(prepared[key]);
+            });
+        }, cleanup, true);
+    });
+    var fail = _.once(function(err) {
+        cleanup();
+        return callback({'message': 'The stream could not be prepared for retrying', 'err': err});
+    });
+
+    _.each(keys, function(key) {
+        var stream = streams[key];
+        stream.on('error', fail);
+
+        if (mode === 'spool') {
+            var spoolPath = path.join(os.tmpdir(), 'embdr-' + crypto.randomBytes(8).toString('hex'));
+            spooled.push(spoolPath);
+
+            var spool = fs.createWriteStream(spoolPath);
+            spool.on('error', fail);
+            spool.on('finish', function() {
+                prepared[key] = spoolPath;
+                done();
+            });
+            stream.pipe(spool);
+        } else {
+            var chunks = [];
+            stream.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            stream.on('end', function() {
+                prepared[key] = Buffer.concat(chunks);
+                done();
+            });
+        }
+    });
+};
+
+/**
+ * Get the amount of milliseconds the REST API asked to wait through the `Retry-After` header. The
+ * header can either be a number of seconds or an HTTP date
+ *
+ * @param  {Response}   [response]              The response to get the header from
+ * @return {number}                             The amount of milliseconds to wait or `null` if the header was not specified
+ */
+var getRetryAfter = module.exports.getRetryAfter = function(response) {
+    var retryAfter = response && response.headers && response.headers['retry-after'];
+    if (!retryAfter) {
+        return null;
+    }
+
+    if (/^\d+$/.test(retryAfter)) {
+        return parseInt(retryAfter, 10) * 1000;
+    }
+
+    var date = Date.parse(retryAfter);
+    if (_.isNaN(date)) {
+        return null;
+    }
+    return Math.max(date - Date.now(), 0);
+};
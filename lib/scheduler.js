@@ -0,0 +1,162 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+module.exports = Scheduler;
+
+// Tasks that are due within this amount of milliseconds of each other are run in the same batch, so
+// a burst of resources that are due at roughly the same time only wakes up the scheduler once
+var BATCH_WINDOW = 50;
+
+/**
+ * Runs the status checks of all the resources an Embdr instance is polling. A single timer is
+ * armed for the task that is due first. When it fires, all tasks that are due are run as one batch
+ * and no more than `options.concurrency` tasks run at the same time. Tasks that can't run yet are
+ * run as soon as another task finishes
+ *
+ * @constructor
+ * @param  {Object}         options                     The polling settings. These are read each time the scheduler runs, so changes take effect straight away
+ * @param  {number}         [options.concurrency]       The maximum amount of tasks that run at the same time. Defaults to no limit
+ * @param  {boolean}        [options.unref]             Whether the timer should not keep the process alive
+ */
+function Scheduler(options) {
+    this._options = options;
+
+    // The tasks that are waiting for their time to come, the tasks that are due but waiting for
+    // a free slot and the amount of tasks that are running
+    this._waiting = [];
+    this._queued = [];
+    this._running = 0;
+
+    // The timer that is armed for the first waiting task and when it will fire
+    this._timer = null;
+    this._timerAt = null;
+}
+
+/**
+ * Schedule a task. The task is passed a callback that it should invoke once it has finished, so
+ * the next task can be run
+ *
+ * @param  {Function}       fn                          The task to run
+ * @param  {Function}       fn.done                     Invoke this once the task has finished
+ * @param  {number}         delay                       The amount of milliseconds to wait before running the task
+ * @return {Object}                                     The scheduled task. This can be passed into `remove`
+ */
+Scheduler.prototype.add = function(fn, delay) {
+    var task = {'fn': fn, 'dueAt': Date.now() + delay, 'state': 'waiting'};
+    this._waiting.push(task);
+    this._arm();
+    return task;
+};
+
+/**
+ * Remove a task. A task that is running frees up its slot
+ *
+ * @param  {Object}         [task]                      The task that was returned by `add`
+ */
+Scheduler.prototype.remove = function(task) {
+    if (!task) {
+        return;
+    } else if (task.state === 'waiting') {
+        _.pull(this._waiting, task);
+        this._arm();
+    } else if (task.state === 'queued') {
+        _.pull(this._queued, task);
+    } else if (task.state === 'running') {
+        this._finish(task);
+    }
+    task.state = 'done';
+};
+
+/**
+ * Arm the timer for the waiting task that is due first
+ *
+ * @api private
+ */
+Scheduler.prototype._arm = function() {
+    var self = this;
+    var next = _.min(_.pluck(self._waiting, 'dueAt'));
+    if (self._timer && self._timerAt <= next && _.isFinite(next)) {
+        return;
+    }
+
+    clearTimeout(self._timer);
+    self._timer = null;
+    self._timerAt = null;
+    if (!_.isFinite(next)) {
+        return;
+    }
+
+    self._timerAt = next;
+    self._timer = setTimeout(function() {
+        self._timer = null;
+        self._timerAt = null;
+        self._batch();
+    }, Math.max(next - Date.now(), 0));
+    if (self._options.unref && _.isFunction(self._timer.unref)) {
+        self._timer.unref();
+    }
+};
+
+/**
+ * Queue all the tasks that are due and run as many of them as the concurrency allows
+ *
+ * @api private
+ */
+Scheduler.prototype._batch = function() {
+    var batchEnd = Date.now() + BATCH_WINDOW;
+    var due = _.chain(this._waiting)
+        .filter(function(task) {
+            return (task.dueAt <= batchEnd);
+        })
+        .sortBy('dueAt')
+        .value();
+
+    this._waiting = _.difference(this._waiting, due);
+    _.each(due, function(task) {
+        task.state = 'queued';
+    });
+    this._queued = this._queued.concat(due);
+
+    this._drain();
+    this._arm();
+};
+
+/**
+ * Run queued tasks until the concurrency has been reached
+ *
+ * @api private
+ */
+Scheduler.prototype._drain = function() {
+    var self = this;
+    var concurrency = self._options.concurrency || Infinity;
+    var run = function(task) {
+        task.state = 'running';
+        self._running++;
+        task.fn(function() {
+            if (task.state === 'running') {
+                self._finish(task);
+            }
+        });
+    };
+
+    while (self._queued.length > 0 && self._running < concurrency) {
+        run(self._queued.shift());
+    }
+};
+
+/**
+ * Free up the slot of a running task and run the next queued task
+ *
+ * @param  {Object}         task                        The task that finished
+ * @api private
+ */
+Scheduler.prototype._finish = function(task) {
+    task.state = 'done';
+    this._running--;
+    this._drain();
+};
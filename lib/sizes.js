@@ -0,0 +1,114 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+// Matches sizes of the form `WxH`, `Wx` and `xH`. Besides the letter x, the multiplication sign
+// (×) is accepted as a separator as it's easily copied from documentation
+var SIZE_REGEX = /^(\d*)\s*[xX\u00d7]\s*(\d*)$/;
+
+/**
+ * Parse a size and normalize it to the `{width}x{height}` form the REST API expects. When only one
+ * dimension is specified, the other one is left out. For example, `1200x` or `x600`
+ *
+ * @param  {string|Object}  size                The size to parse. This is either a string of the form `WxH`, `Wx` or `xH`, an object with a `width` and/or a `height` or the name of a preset
+ * @param  {Object}         [presets]           The named sizes, keyed by their name
+ * @return {string}                             The normalized size. For example, `256x256`
+ * @throws {EmbdrValidationError}               Thrown when the size is invalid
+ */
+var parse = module.exports.parse = function(size, presets) {
+    var spec = size;
+    if (_.isString(spec) && presets && _.has(presets, spec.trim())) {
+        spec = presets[spec.trim()];
+    }
+
+    var width = null;
+    var height = null;
+    if (_.isString(spec)) {
+        var match = SIZE_REGEX.exec(spec.trim());
+        if (!match) {
+            throw invalidSize(size, 'it should be of the form {width}x{height}, {width}x or x{height} or the name of a preset');
+        }
+        width = match[1];
+        height = match[2];
+    } else if (_.isPlainObject(spec)) {
+        width = spec.width;
+        height = spec.height;
+    } else {
+        throw invalidSize(size, 'it should be a string or an object with a width and a height');
+    }
+
+    width = parseDimension(size, width, 'width');
+    height = parseDimension(size, height, 'height');
+    if (width === null && height === null) {
+        throw invalidSize(size, 'at least one of the width and the height should be specified');
+    }
+
+    return util.format('%sx%s', width || '', height || '');
+};
+
+/**
+ * Parse and normalize a set of sizes. Duplicate sizes are removed
+ *
+ * @param  {string|Array}   [sizes]             The sizes to parse. This is either an array of sizes or a comma-separated list of sizes. See `parse` for the supported sizes
+ * @param  {Object}         [presets]           The named sizes, keyed by their name
+ * @return {string[]}                           The normalized sizes or `undefined` when no sizes were specified
+ * @throws {EmbdrValidationError}               Thrown when one of the sizes is invalid
+ */
+module.exports.normalize = function(sizes, presets) {
+    if (_.isUndefined(sizes) || _.isNull(sizes)) {
+        return undefined;
+    } else if (_.isString(sizes)) {
+        sizes = sizes.split(',');
+    } else if (!_.isArray(sizes)) {
+        throw new EmbdrErrors.EmbdrValidationError('The sizes should be an array or a comma-separated list of sizes');
+    }
+
+    return _.chain(sizes)
+        .reject(function(size) {
+            return (_.isUndefined(size) || _.isNull(size) || size === '');
+        })
+        .map(function(size) {
+            return parse(size, presets);
+        })
+        .uniq()
+        .value();
+};
+
+/*!
+ * Parse a single dimension of a size
+ *
+ * @param  {string|Object}  size                The size the dimension is part of
+ * @param  {string|number}  [value]             The value of the dimension
+ * @param  {string}         name                The name of the dimension. Either `width` or `height`
+ * @return {number}                             The dimension or `null` when it wasn't specified
+ * @throws {EmbdrValidationError}               Thrown when the dimension is not a positive integer
+ */
+var parseDimension = function(size, value, name) {
+    if (_.isUndefined(value) || _.isNull(value) || value === '') {
+        return null;
+    }
+
+    var dimension = Number(value);
+    if (!_.isFinite(dimension) || dimension <= 0 || Math.floor(dimension) !== dimension) {
+        throw invalidSize(size, util.format('the %s should be a positive integer', name));
+    }
+    return dimension;
+};
+
+/*!
+ * Create the error for an invalid size
+ *
+ * @param  {string|Object}  size                The invalid size
+ * @param  {string}         reason              Why the size is invalid
+ * @return {EmbdrValidationError}               The error explaining why the size is invalid
+ */
+var invalidSize = function(size, reason) {
+    return new EmbdrErrors.EmbdrValidationError(util.format('Invalid size %s: %s', JSON.stringify(size), reason));
+};
@@ -0,0 +1,182 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+
+var EmbdrErrors = require('../errors');
+
+module.exports = FileStore;
+
+/**
+ * A job store that keeps the jobs in a JSON file. The file is read once and rewritten whenever a
+ * job changes. It's written to a temporary file first, which then replaces the original file, so
+ * a restart halfway through a write never leaves behind a corrupt file. See `MemoryStore` for the
+ * interface of a job store.
+ *
+ * Only one process should use the same file at any given time.
+ *
+ * @constructor
+ * @param  {string}     path                The path of the JSON file. It's created when it does not exist yet
+ */
+function FileStore(path) {
+    this.path = path;
+
+    // The jobs, keyed by resource id. These are loaded from the file on first use
+    this._jobs = null;
+    this._loading = null;
+
+    // Whether the file is being written, and the callbacks that are waiting for the next write
+    this._writing = false;
+    this._waiting = [];
+}
+
+/**
+ * Create or replace a job
+ *
+ * @param  {Object}     job                 The job to save
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+FileStore.prototype.save = function(job, callback) {
+    var self = this;
+    self._load(function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        self._jobs[job.id] = _.cloneDeep(job);
+        self._write(callback);
+    });
+};
+
+/**
+ * Remove a job
+ *
+ * @param  {string}     id                  The id of the resource to remove the job for
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+FileStore.prototype.remove = function(id, callback) {
+    var self = this;
+    self._load(function(err) {
+        if (err) {
+            return callback(err);
+        } else if (!_.has(self._jobs, id)) {
+            return callback();
+        }
+
+        delete self._jobs[id];
+        self._write(callback);
+    });
+};
+
+/**
+ * Get all jobs
+ *
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ * @param  {Object[]}   callback.jobs       The jobs
+ */
+FileStore.prototype.list = function(callback) {
+    var self = this;
+    self._load(function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return callback(null, _.map(_.values(self._jobs), _.cloneDeep));
+    });
+};
+
+/**
+ * Load the jobs from the file, if they haven't been loaded yet
+ *
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object when the file could not be read
+ * @api private
+ */
+FileStore.prototype._load = function(callback) {
+    var self = this;
+    if (self._jobs) {
+        return callback();
+    } else if (self._loading) {
+        return self._loading.push(callback);
+    }
+
+    self._loading = [callback];
+    fs.readFile(self.path, 'utf8', function(err, data) {
+        var loadError = null;
+        if (err && err.code !== 'ENOENT') {
+            loadError = new EmbdrErrors.EmbdrStoreError('The job store could not be read', {'err': err});
+        } else {
+            try {
+                self._jobs = data ? JSON.parse(data) : {};
+            } catch (ex) {
+                loadError = new EmbdrErrors.EmbdrStoreError('The job store is not valid JSON', {'err': ex});
+            }
+        }
+
+        var callbacks = self._loading;
+        self._loading = null;
+        _.each(callbacks, function(loaded) {
+            loaded(loadError);
+        });
+    });
+};
+
+/**
+ * Write the jobs to the file. Writes don't overlap, changes that are made while the file is being
+ * written are picked up by the next write
+ *
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object when the file could not be written
+ * @api private
+ */
+FileStore.prototype._write = function(callback) {
+    var self = this;
+    self._waiting.push(callback);
+    if (self._writing) {
+        return;
+    }
+
+    self._writing = true;
+    var callbacks = self._waiting;
+    self._waiting = [];
+
+    var done = function(err) {
+        self._writing = false;
+        _.each(callbacks, function(written) {
+            written(err);
+        });
+
+        // Write the changes that were made in the meantime
+        if (!_.isEmpty(self._waiting)) {
+            var next = self._waiting;
+            self._waiting = [];
+            self._write(function(nextErr) {
+                _.each(next, function(written) {
+                    written(nextErr);
+                });
+            });
+        }
+    };
+
+    var tmpPath = self.path + '.tmp';
+    fs.writeFile(tmpPath, JSON.stringify(self._jobs), function(err) {
+        if (err) {
+            return done(new EmbdrErrors.EmbdrStoreError('The job store could not be written', {'err': err}));
+        }
+
+        fs.rename(tmpPath, self.path, function(renameErr) {
+            if (renameErr) {
+                return done(new EmbdrErrors.EmbdrStoreError('The job store could not be written', {'err': renameErr}));
+            }
+
+            return done();
+        });
+    });
+};
@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+module.exports = MemoryStore;
+
+/**
+ * A job store that keeps the jobs in memory. Jobs don't survive a restart of the process, use a
+ * `FileStore` or a custom store for that.
+ *
+ * A job store records the resources that are being polled so they can be resumed through
+ * `Embdr.prototype.resume`. Any object that implements the following functions can be used as a
+ * job store:
+ *
+ *  - `save(job, callback)`:    Create or replace the job with the same `id`
+ *  - `remove(id, callback)`:   Remove the job with the given id
+ *  - `list(callback)`:         Pass all jobs to the callback as its second argument
+ *
+ * Each callback is a standard callback function that takes an error object as its first argument.
+ * A job is a JSON-serializable object, see `Embdr.prototype.process` for its properties.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+    // The jobs, keyed by resource id
+    this._jobs = {};
+}
+
+/**
+ * Create or replace a job
+ *
+ * @param  {Object}     job                 The job to save
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+MemoryStore.prototype.save = function(job, callback) {
+    this._jobs[job.id] = _.cloneDeep(job);
+    process.nextTick(callback);
+};
+
+/**
+ * Remove a job
+ *
+ * @param  {string}     id                  The id of the resource to remove the job for
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ */
+MemoryStore.prototype.remove = function(id, callback) {
+    delete this._jobs[id];
+    process.nextTick(callback);
+};
+
+/**
+ * Get all jobs
+ *
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object, if any
+ * @param  {Object[]}   callback.jobs       The jobs
+ */
+MemoryStore.prototype.list = function(callback) {
+    var jobs = _.map(_.values(this._jobs), _.cloneDeep);
+    process.nextTick(function() {
+        return callback(null, jobs);
+    });
+};
@@ -0,0 +1,595 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var Busboy = require('busboy');
+var EventEmitter = require('events').EventEmitter;
+var http = require('http');
+var url = require('url');
+var util = require('util');
+
+// The message the REST API responds with when it can't reach a link
+var UNREACHABLE_LINK_MESSAGE = 'Unable to handle a link because it could not be reached';
+
+// The format of a valid size
+var SIZE_REGEX = /^(\d+x\d*|\d*x\d+)$/;
+
+// The amount of resources that are listed per page by default, and at most
+var DEFAULT_PAGE_LIMIT = 25;
+var MAX_PAGE_LIMIT = 100;
+
+// The data that is returned for each generated preview. This is a transparent 1x1 PNG image
+var PREVIEW_DATA = new Buffer('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+/**
+ * Create a fake Embdr REST API server
+ *
+ * @param  {Object}     [options]       The options for the server. See `FakeServer` for more information
+ * @return {FakeServer}                 The fake REST API server
+ */
+module.exports.createServer = function(options) {
+    return new FakeServer(options);
+};
+
+module.exports.FakeServer = FakeServer;
+module.exports.UNREACHABLE_LINK_MESSAGE = UNREACHABLE_LINK_MESSAGE;
+
+/**
+ * An in-process HTTP server that implements the parts of the Embdr REST API the client relies on.
+ * It's meant to be used in tests so integrations can be exercised without contacting embdr.io.
+ * Each generated preview can be downloaded as a 1x1 PNG image.
+ *
+ * The previews of a created resource remain `pending` until they are finished. By default this
+ * happens as soon as the resource has been created, but the `processingDelay` option can be used
+ * to delay it. When `processingDelay` is `null`, previews are only finished through `finish` or
+ * `setPreviewStatus`.
+ *
+ * The server emits a `request` event for each request it receives and a `resource` event for
+ * each resource it creates.
+ *
+ * @constructor
+ * @param  {Object}     [options]                       A set of extra options
+ * @param  {string|string[]}  [options.apiKey]          The API key or the API keys clients can authenticate with. When unspecified, no authentication is required. The client created by `createClient` uses the first API key
+ * @param  {string}     [options.basePath]              The base path on which the REST API can be reached. Defaults to `/api`
+ * @param  {number}     [options.processingDelay]       The amount of milliseconds after which the previews of a created resource are finished. When `null`, previews need to be finished manually. Defaults to `0`
+ * @param  {string[]}   [options.failedSizes]           The sizes of the previews that should fail rather than succeed when they are finished
+ * @param  {Function}   [options.isSupported]           Whether a created resource can be processed. It is passed the created resource and should return a boolean. Unsupported resources are not processed
+ * @param  {Function}   [options.isReachable]           Whether a link can be reached. It is passed the link and should return a boolean. When a link can't be reached, a 400 is returned
+ */
+function FakeServer(options) {
+    var self = this;
+    EventEmitter.call(self);
+
+    options = options || {};
+    self.apiKeys = _.compact([].concat(options.apiKey || []));
+    self.apiKey = _.first(self.apiKeys) || null;
+    self.basePath = options.basePath || '/api';
+    self.processingDelay = _.has(options, 'processingDelay') ? options.processingDelay : 0;
+    self.failedSizes = options.failedSizes || [];
+    self.isSupported = options.isSupported || _.constant(true);
+    self.isReachable = options.isReachable || _.constant(true);
+
+    // The port the server is listening on
+    self.port = null;
+
+    // The created resources, keyed by their id
+    self.resources = {};
+
+    // The requests the server has received
+    self.requests = [];
+
+    self._errors = [];
+    self._timers = [];
+    self._sockets = [];
+    self._idCounter = 0;
+
+    self._server = http.createServer(function(req, res) {
+        self._handle(req, res);
+    });
+
+    // Keep track of the open sockets so they can be destroyed when the server is closed. Otherwise
+    // kept-alive connections would prevent the server from closing
+    self._server.on('connection', function(socket) {
+        self._sockets.push(socket);
+        socket.on('close', function() {
+            _.pull(self._sockets, socket);
+        });
+    });
+}
+util.inherits(FakeServer, EventEmitter);
+
+/**
+ * Start listening for requests
+ *
+ * @param  {number}     [port]              The port to listen on. When unspecified, a random free port is used
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object when the server could not start listening
+ * @param  {number}     callback.port       The port the server is listening on
+ */
+FakeServer.prototype.listen = function(port, callback) {
+    var self = this;
+    if (_.isFunction(port)) {
+        callback = port;
+        port = 0;
+    }
+
+    var onError = function(err) {
+        return callback(err);
+    };
+    self._server.once('error', onError);
+    self._server.listen(port || 0, 'localhost', function() {
+        self._server.removeListener('error', onError);
+        self.port = self._server.address().port;
+        return callback(null, self.port);
+    });
+};
+
+/**
+ * Stop listening for requests. Any pending processing is abandoned
+ *
+ * @param  {Function}   [callback]          Standard callback function
+ */
+FakeServer.prototype.close = function(callback) {
+    _.each(this._timers, clearTimeout);
+    this._timers = [];
+
+    _.each(this._sockets, function(socket) {
+        socket.destroy();
+    });
+    this._server.close(function() {
+        if (_.isFunction(callback)) {
+            return callback();
+        }
+    });
+};
+
+/**
+ * Create an Embdr client that is configured to talk to this server
+ *
+ * @return {Embdr}                          The Embdr client
+ */
+FakeServer.prototype.createClient = function() {
+    var Embdr = require('./embdr');
+    var client = new Embdr(this.apiKey);
+    client.setHost('localhost', this.port, 'http');
+    client.setBasePath(this.basePath);
+    return client;
+};
+
+/**
+ * Respond to matching requests with an error rather than handling them. Injected errors are
+ * matched in the order they were injected
+ *
+ * @param  {Object}     spec                The error to inject
+ * @param  {string}     [spec.method]       Only match requests with this HTTP method
+ * @param  {string}     [spec.path]         Only match requests for this path. The path is relative to the base path, for example `/resources`
+ * @param  {string}     [spec.type]         Only match requests that create a resource of this type. One of `file` or `link`
+ * @param  {number}     [spec.status]       The status code to respond with. Defaults to `500`
+ * @param  {Object}     [spec.body]         The body to respond with. Objects are serialized as JSON. Defaults to `{"code": status, "message": "Injected error"}`
+ * @param  {Object}     [spec.headers]      Extra headers to respond with
+ * @param  {number}     [spec.times]        The number of requests the error should be returned for. Defaults to `1`. Use `Infinity` to keep returning it
+ * @param  {boolean}    [spec.destroy]      Whether to destroy the connection rather than respond. This simulates a network error
+ */
+FakeServer.prototype.injectError = function(spec) {
+    spec = _.extend({'status': 500, 'times': 1}, spec);
+    if (!_.has(spec, 'body')) {
+        spec.body = {'code': spec.status, 'message': 'Injected error'};
+    }
+    this._errors.push(spec);
+};
+
+/**
+ * Respond to the next request that creates a link with the error the REST API returns when it
+ * can't reach a link
+ *
+ * @param  {number}     [times]             The number of link requests to fail. Defaults to `1`
+ */
+FakeServer.prototype.injectUnreachableLink = function(times) {
+    this.injectError({
+        'method': 'POST',
+        'path': '/resources',
+        'type': 'link',
+        'status': 400,
+        'body': {'code': 400, 'message': UNREACHABLE_LINK_MESSAGE},
+        'times': times || 1
+    });
+};
+
+/**
+ * Set the status of a single preview of a resource. When no previews are pending anymore, the
+ * resource itself is marked as `done`
+ *
+ * @param  {string}     id                  The id of the resource
+ * @param  {string}     type                The type of the preview. One of `thumbnails` or `images`
+ * @param  {string}     size                The size of the preview
+ * @param  {string}     status              The new status of the preview. For example, `done` or `failed`
+ */
+FakeServer.prototype.setPreviewStatus = function(id, type, size, status) {
+    var resource = this.resources[id];
+    if (!resource) {
+        throw new Error('Unknown resource ' + id);
+    }
+
+    var preview = _.find(resource[type], {'size': size});
+    if (!preview) {
+        throw new Error(util.format('Resource %s has no %s of size %s', id, type, size));
+    }
+    preview.status = status;
+    this._updateStatus(resource);
+};
+
+/**
+ * Finish all the pending previews of a resource. Previews whose size is in the `failedSizes`
+ * option are marked as `failed`, all other previews are marked as `done`
+ *
+ * @param  {string}     id                  The id of the resource
+ */
+FakeServer.prototype.finish = function(id) {
+    var self = this;
+    var resource = self.resources[id];
+    if (!resource) {
+        throw new Error('Unknown resource ' + id);
+    }
+
+    _.each(resource.thumbnails.concat(resource.images), function(preview) {
+        if (preview.status === 'pending') {
+            preview.status = _.contains(self.failedSizes, preview.size) ? 'failed' : 'done';
+        }
+    });
+    self._updateStatus(resource, true);
+};
+
+/**
+ * Mark a resource as `done` when none of its previews are pending anymore
+ *
+ * @param  {Object}     resource            The resource to update
+ * @param  {boolean}    [finished]          Whether the resource has been finished. Resources without previews are only marked as `done` when they are finished
+ * @api private
+ */
+FakeServer.prototype._updateStatus = function(resource, finished) {
+    var previews = resource.thumbnails.concat(resource.images);
+    if (resource.status === 'pending' && (finished || !_.isEmpty(previews)) && !_.some(previews, {'status': 'pending'})) {
+        resource.status = 'done';
+    }
+};
+
+/**
+ * Handle an incoming request
+ *
+ * @param  {Request}    req                 The incoming request
+ * @param  {Response}   res                 The response to send
+ * @api private
+ */
+FakeServer.prototype._handle = function(req, res) {
+    var self = this;
+    var parsedUrl = url.parse(req.url, true);
+    var pathname = parsedUrl.pathname;
+
+    // Only requests on the base path are handled
+    if (pathname.indexOf(self.basePath + '/') !== 0) {
+        req.resume();
+        return respond(res, 404, {'code': 404, 'message': 'Not found'});
+    }
+    var path = pathname.substring(self.basePath.length);
+
+    readFields(req, function(err, fields) {
+        if (err) {
+            return respond(res, 400, {'code': 400, 'message': err.message});
+        }
+
+        var received = {
+            'method': req.method,
+            'path': path,
+            'headers': req.headers,
+            'query': parsedUrl.query,
+            'fields': fields
+        };
+        self.requests.push(received);
+        self.emit('request', received);
+
+        // Check whether an error should be returned rather than handling the request
+        var type = null;
+        if (fields.link) {
+            type = 'link';
+        } else if (fields.file) {
+            type = 'file';
+        }
+        var injected = _.find(self._errors, function(spec) {
+            return (!spec.method || spec.method === req.method) &&
+                   (!spec.path || spec.path === path) &&
+                   (!spec.type || spec.type === type);
+        });
+        if (injected) {
+            injected.times--;
+            if (injected.times <= 0) {
+                _.pull(self._errors, injected);
+            }
+
+            if (injected.destroy) {
+                return req.socket.destroy();
+            }
+            return respond(res, injected.status, injected.body, injected.headers);
+        }
+
+        // Check the API key
+        var validAuth = _.map(self.apiKeys, function(apiKey) {
+            return 'Basic ' + new Buffer(apiKey + ':').toString('base64');
+        });
+        if (!_.isEmpty(validAuth) && !_.contains(validAuth, req.headers.authorization)) {
+            return respond(res, 401, {'code': 401, 'message': 'Invalid API key'});
+        }
+
+        var resourceMatch = path.match(/^\/resources\/([^\/]+)(\/reprocess)?$/);
+        var previewMatch = path.match(/^\/resources\/([^\/]+)\/(thumbnails|images)\/([^\/]+)$/);
+        if (req.method === 'POST' && path === '/resources') {
+            return self._createResource(fields, res);
+        } else if (req.method === 'GET' && path === '/resources') {
+            return self._listResources(parsedUrl.query, res);
+        } else if (resourceMatch) {
+            var resourceId = decodeURIComponent(resourceMatch[1]);
+            var resource = self.resources[resourceId];
+            if (!resource) {
+                return respond(res, 404, {'code': 404, 'message': 'The resource could not be found'});
+            } else if (req.method === 'GET' && !resourceMatch[2]) {
+                return respond(res, 200, resource);
+            } else if (req.method === 'DELETE' && !resourceMatch[2]) {
+                delete self.resources[resourceId];
+                return respond(res, 204, '');
+            } else if (req.method === 'POST' && resourceMatch[2]) {
+                return self._reprocessResource(resource, fields, res);
+            }
+        } else if (req.method === 'GET' && previewMatch) {
+            var previewResource = self.resources[decodeURIComponent(previewMatch[1])];
+            var preview = previewResource && _.find(previewResource[previewMatch[2]], {'size': decodeURIComponent(previewMatch[3])});
+            if (!preview || preview.status !== 'done') {
+                return respond(res, 404, {'code': 404, 'message': 'The preview could not be found'});
+            }
+            return respond(res, 200, PREVIEW_DATA, {'Content-Type': 'image/png'});
+        }
+
+        return respond(res, 404, {'code': 404, 'message': 'Not found'});
+    });
+};
+
+/**
+ * Create a resource
+ *
+ * @param  {Object}     fields              The fields that were submitted
+ * @param  {Response}   res                 The response to send
+ * @api private
+ */
+FakeServer.prototype._createResource = function(fields, res) {
+    var self = this;
+
+    if (!fields.file && !fields.link) {
+        return respond(res, 400, {'code': 400, 'message': 'Either a file or a link should be provided'});
+    } else if (fields.link && !self.isReachable(fields.link)) {
+        return respond(res, 400, {'code': 400, 'message': UNREACHABLE_LINK_MESSAGE});
+    }
+
+    // Validate the requested sizes
+    var sizes = parseSizes(fields);
+    if (sizes.invalid) {
+        return respond(res, 400, {'code': 400, 'message': 'Invalid size: ' + sizes.invalid});
+    }
+
+    var resource = {
+        'id': 'fake' + (++self._idCounter),
+        'status': 'pending',
+        'created': new Date().toISOString(),
+        'thumbnails': [],
+        'images': []
+    };
+    if (fields.link) {
+        resource.type = 'link';
+        resource.link = fields.link;
+    } else {
+        resource.type = 'file';
+        resource.filename = fields.file.filename;
+        resource.mimeType = fields.file.mimeType;
+        resource.size = fields.file.size;
+    }
+
+    if (self.isSupported(resource)) {
+        _.each(['thumbnails', 'images'], function(type) {
+            resource[type] = _.map(sizes[type], function(size) {
+                return {'size': size, 'status': 'pending'};
+            });
+        });
+        self._scheduleFinish(resource);
+    } else {
+        resource.status = 'unsupported';
+    }
+
+    self.resources[resource.id] = resource;
+    self.emit('resource', resource);
+    return respond(res, 201, resource);
+};
+
+/**
+ * List the resources, oldest first. The cursor of a page is the id of the last resource on the
+ * previous page
+ *
+ * @param  {Object}     query               The query string parameters. These are the `status`, `since`, `limit` and `cursor` to list the resources with
+ * @param  {Response}   res                 The response to send
+ * @api private
+ */
+FakeServer.prototype._listResources = function(query, res) {
+    var limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_LIMIT;
+    var since = query.since ? Date.parse(query.since) : null;
+    if (_.isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        return respond(res, 400, {'code': 400, 'message': 'The limit should be a number between 1 and ' + MAX_PAGE_LIMIT});
+    } else if (_.isNaN(since)) {
+        return respond(res, 400, {'code': 400, 'message': 'The since parameter should be a valid date'});
+    }
+
+    // The ids are sequential, so sorting on their number gives the order in which they were created
+    var resources = _.chain(this.resources)
+        .values()
+        .sortBy(function(resource) {
+            return parseInt(resource.id.substring(4), 10);
+        })
+        .filter(function(resource) {
+            return (!query.status || resource.status === query.status) &&
+                   (!since || Date.parse(resource.created) >= since);
+        })
+        .value();
+
+    if (query.cursor) {
+        var cursorIndex = _.findIndex(resources, {'id': query.cursor});
+        if (cursorIndex === -1) {
+            return respond(res, 400, {'code': 400, 'message': 'Invalid cursor'});
+        }
+        resources = resources.slice(cursorIndex + 1);
+    }
+
+    var results = _.take(resources, limit);
+    return respond(res, 200, {
+        'results': results,
+        'nextCursor': (resources.length > limit) ? _.last(results).id : null
+    });
+};
+
+/**
+ * Add previews to an existing resource. Sizes the resource already has are ignored
+ *
+ * @param  {Object}     resource            The resource to reprocess
+ * @param  {Object}     fields              The fields that were submitted
+ * @param  {Response}   res                 The response to send
+ * @api private
+ */
+FakeServer.prototype._reprocessResource = function(resource, fields, res) {
+    var sizes = parseSizes(fields);
+    if (sizes.invalid) {
+        return respond(res, 400, {'code': 400, 'message': 'Invalid size: ' + sizes.invalid});
+    } else if (_.isEmpty(sizes.thumbnails) && _.isEmpty(sizes.images)) {
+        return respond(res, 400, {'code': 400, 'message': 'At least one thumbnail or image size should be provided'});
+    } else if (resource.status === 'unsupported') {
+        return respond(res, 400, {'code': 400, 'message': 'The resource can not be processed'});
+    }
+
+    var added = false;
+    _.each(['thumbnails', 'images'], function(type) {
+        _.each(sizes[type], function(size) {
+            if (!_.find(resource[type], {'size': size})) {
+                resource[type].push({'size': size, 'status': 'pending'});
+                added = true;
+            }
+        });
+    });
+
+    if (added) {
+        resource.status = 'pending';
+        this._scheduleFinish(resource);
+    }
+    return respond(res, 200, resource);
+};
+
+/**
+ * Finish the previews of a resource once the processing delay has passed
+ *
+ * @param  {Object}     resource            The resource to finish
+ * @api private
+ */
+FakeServer.prototype._scheduleFinish = function(resource) {
+    var self = this;
+    if (_.isNumber(self.processingDelay)) {
+        self._timers.push(setTimeout(function() {
+            if (self.resources[resource.id]) {
+                self.finish(resource.id);
+            }
+        }, self.processingDelay));
+    }
+};
+
+/*!
+ * Get the thumbnail and image sizes that were submitted
+ *
+ * @param  {Object}     fields              The fields that were submitted
+ * @return {Object}                         The submitted sizes in its `thumbnails` and `images` arrays. The first invalid size, if any, is in `invalid`
+ */
+var parseSizes = function(fields) {
+    var sizes = {'invalid': null};
+    _.each({'thumbnails': 'thumbnailSizes', 'images': 'imageSizes'}, function(field, type) {
+        sizes[type] = _.compact((fields[field] || '').split(','));
+        sizes.invalid = sizes.invalid || _.find(sizes[type], function(size) {
+            return !SIZE_REGEX.test(size);
+        });
+    });
+    return sizes;
+};
+
+/*!
+ * Read the fields of a request. For multipart requests the file is consumed and its filename,
+ * MIME type and size are returned in the `file` field
+ *
+ * @param  {Request}    req                 The incoming request
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error object when the request could not be parsed
+ * @param  {Object}     callback.fields     The submitted fields
+ */
+var readFields = function(req, callback) {
+    var fields = {};
+    var contentType = req.headers['content-type'] || '';
+    if (!/^(multipart\/form-data|application\/x-www-form-urlencoded)/.test(contentType)) {
+        req.resume();
+        req.on('end', function() {
+            return callback(null, fields);
+        });
+        return;
+    }
+
+    var busboy = null;
+    try {
+        busboy = new Busboy({'headers': req.headers});
+    } catch (err) {
+        req.resume();
+        return callback({'message': err.message});
+    }
+
+    busboy.on('field', function(name, value) {
+        fields[name] = value;
+    });
+    busboy.on('file', function(name, file, filename, encoding, mimeType) {
+        var info = fields[name] = {'filename': filename, 'mimeType': mimeType, 'size': 0};
+        file.on('data', function(chunk) {
+            info.size += chunk.length;
+        });
+        file.on('error', function(err) {
+            return callback({'message': err.message});
+        });
+    });
+    busboy.on('error', function(err) {
+        return callback({'message': err.message});
+    });
+    busboy.on('finish', function() {
+        return callback(null, fields);
+    });
+
+    // Only respond once, even when both the file and the form error out
+    callback = _.once(callback);
+    req.pipe(busboy);
+};
+
+/*!
+ * Send a response
+ *
+ * @param  {Response}       res             The response to send
+ * @param  {number}         statusCode      The status code to respond with
+ * @param  {Object|string}  body            The body to respond with. Objects are serialized as JSON
+ * @param  {Object}         [headers]       Extra headers to respond with
+ */
+var respond = function(res, statusCode, body, headers) {
+    res.statusCode = statusCode;
+    _.each(headers, function(value, name) {
+        res.setHeader(name, value);
+    });
+    if (!_.isString(body) && !Buffer.isBuffer(body)) {
+        res.setHeader('Content-Type', 'application/json');
+        body = JSON.stringify(body);
+    }
+    res.end(body);
+};
@@ -0,0 +1,261 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var mime = require('mime-types');
+var Path = require('path');
+var Stream = require('stream');
+var util = require('util');
+
+var EmbdrErrors = require('./errors');
+
+// The amount of bytes that are inspected to detect the content type of a file
+var HEAD_LENGTH = 16;
+
+// The signatures of the content types that can be detected from the first bytes of a file. Only
+// unambiguous signatures are listed, any other file is recognized by its extension
+var SIGNATURES = [
+    {'type': 'image/png', 'bytes': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]},
+    {'type': 'image/jpeg', 'bytes': [0xff, 0xd8, 0xff]},
+    {'type': 'image/gif', 'bytes': [0x47, 0x49, 0x46, 0x38]},
+    {'type': 'image/tiff', 'bytes': [0x49, 0x49, 0x2a, 0x00]},
+    {'type': 'image/tiff', 'bytes': [0x4d, 0x4d, 0x00, 0x2a]},
+    {'type': 'image/webp', 'bytes': [0x52, 0x49, 0x46, 0x46], 'at': {'offset': 8, 'bytes': [0x57, 0x45, 0x42, 0x50]}},
+    {'type': 'application/pdf', 'bytes': [0x25, 0x50, 0x44, 0x46, 0x2d]}
+];
+
+/**
+ * Prepare a file for uploading. Its filename and content type are detected and the size and type
+ * restrictions are checked. Streams are read through a guard that fails the upload as soon as the
+ * file turns out to be too large. The upload that is passed to the callback holds:
+ *
+ *  - `file`:           The buffer or stream that should be uploaded
+ *  - `filename`:       The filename. When it's unknown, a name is made up from the content type so the REST API recognizes the upload as a file. For example, `file.png`
+ *  - `contentType`:    The content type or `null` when it's unknown
+ *  - `size`:           The size in bytes or `null` when it's unknown
+ *
+ * Any error that occurs once a stream has been prepared is emitted as an `error` event on the
+ * upload's `file`
+ *
+ * @param  {Stream|Buffer}  file                            The file to prepare
+ * @param  {Object}         [options]                       A set of extra options
+ * @param  {string}         [options.filename]              The filename. Defaults to the name of the file a stream reads from
+ * @param  {string}         [options.contentType]           The content type. By default, it's detected from the first bytes of the file or its filename
+ * @param  {number}         [options.maxBytes]              The maximum size of the file in bytes
+ * @param  {string[]}       [options.allowedTypes]          The content types the file can have. A type can end in a wildcard, for example `image/*`
+ * @param  {Function}       callback                        Standard callback function
+ * @param  {Object}         callback.err                    An error object when the file could not be read or is not allowed
+ * @param  {Object}         callback.upload                 The prepared upload
+ */
+module.exports.prepare = function(file, options, callback) {
+    options = options || {};
+    callback = _.once(callback);
+
+    var upload = {
+        'file': file,
+        'filename': options.filename || (_.isString(file.path) ? Path.basename(file.path) : null),
+        'contentType': null,
+        'size': null
+    };
+
+    if (Buffer.isBuffer(file)) {
+        upload.contentType = getType(file, upload.filename, options);
+        upload.filename = upload.filename || getFilename(upload.contentType);
+        upload.size = file.length;
+        var invalid = check(upload, options);
+        return process.nextTick(function() {
+            return callback(invalid, invalid ? null : upload);
+        });
+    }
+
+    upload.file = createGuard(file, options.maxBytes);
+
+    var fail = function(err) {
+        if (_.isFunction(file.unpipe)) {
+            file.unpipe(upload.file);
+        }
+        if (_.isFunction(file.destroy)) {
+            file.destroy();
+        }
+        return callback(err);
+    };
+    upload.file.on('error', fail);
+
+    // The content type is known once the first bytes have been read. The size is only known up
+    // front for files on disk
+    var ready = _.after(2, function() {
+        upload.file.removeListener('error', fail);
+        var checkErr = check(upload, options);
+        if (checkErr) {
+            return fail(checkErr);
+        }
+
+        return callback(null, upload);
+    });
+    upload.file.once('head', function(head) {
+        upload.contentType = getType(head, upload.filename, options);
+        upload.filename = upload.filename || getFilename(upload.contentType);
+        ready();
+    });
+    if (file instanceof fs.ReadStream) {
+        fs.stat(file.path, function(statErr, stats) {
+            // When the file can't be read, the stream will explain why
+            if (!statErr) {
+                upload.size = stats.size;
+            }
+            ready();
+        });
+    } else {
+        ready();
+    }
+};
+
+/**
+ * Whether a content type is one of the allowed types
+ *
+ * @param  {string}         [contentType]                   The content type to check
+ * @param  {string[]}       allowedTypes                    The content types that are allowed. A type can end in a wildcard, for example `image/*`
+ * @return {boolean}                                        Whether the content type is allowed
+ */
+var isAllowedType = module.exports.isAllowedType = function(contentType, allowedTypes) {
+    contentType = (contentType || '').toLowerCase();
+    return _.some(allowedTypes, function(allowedType) {
+        allowedType = allowedType.toLowerCase();
+        if (_.endsWith(allowedType, '/*')) {
+            return _.startsWith(contentType, allowedType.slice(0, -1));
+        }
+        return (contentType === allowedType);
+    });
+};
+
+/*!
+ * Get the content type of a file. An explicit content type takes precedence over the type that
+ * is detected from the first bytes, which in turn takes precedence over the filename
+ *
+ * @param  {Buffer}         head                            The first bytes of the file
+ * @param  {string}         [filename]                      The filename
+ * @param  {Object}         options                         The options that were passed into `prepare`
+ * @return {string}                                         The content type or `null` when it's unknown
+ */
+var getType = function(head, filename, options) {
+    if (options.contentType) {
+        return options.contentType;
+    }
+
+    var signature = _.find(SIGNATURES, function(candidate) {
+        return (startsWith(head, candidate.bytes, 0) && (!candidate.at || startsWith(head, candidate.at.bytes, candidate.at.offset)));
+    });
+    if (signature) {
+        return signature.type;
+    }
+
+    return (filename && mime.lookup(filename)) || null;
+};
+
+/*!
+ * Make up a filename for a file whose name is unknown
+ *
+ * @param  {string}         [contentType]                   The content type of the file
+ * @return {string}                                         The filename. For example, `file.png`
+ */
+var getFilename = function(contentType) {
+    var extension = contentType && mime.extension(contentType);
+    return extension ? 'file.' + extension : 'file';
+};
+
+/*!
+ * Whether a buffer holds the given bytes at an offset
+ *
+ * @param  {Buffer}         buffer                          The buffer to check
+ * @param  {number[]}       bytes                           The bytes to look for
+ * @param  {number}         offset                          The offset at which the bytes should be found
+ * @return {boolean}                                        Whether the buffer holds the bytes at the offset
+ */
+var startsWith = function(buffer, bytes, offset) {
+    return (buffer.length >= offset + bytes.length && _.every(bytes, function(value, index) {
+        return (buffer[offset + index] === value);
+    }));
+};
+
+/*!
+ * Check whether an upload meets the size and type restrictions
+ *
+ * @param  {Object}         upload                          The upload to check
+ * @param  {Object}         options                         The options that were passed into `prepare`
+ * @return {EmbdrValidationError}                           The error explaining which restriction is not met or `null` when the upload can proceed
+ */
+var check = function(upload, options) {
+    if (options.maxBytes && upload.size !== null && upload.size > options.maxBytes) {
+        return tooLarge(options.maxBytes);
+    } else if (options.allowedTypes && !isAllowedType(upload.contentType, options.allowedTypes)) {
+        return new EmbdrErrors.EmbdrValidationError(util.format('Files of type %s are not allowed. Allowed types are: %s', upload.contentType || 'unknown', options.allowedTypes.join(', ')));
+    }
+
+    return null;
+};
+
+/*!
+ * Create the error for a file that is too large
+ *
+ * @param  {number}         maxBytes                        The maximum size of the file in bytes
+ * @return {EmbdrValidationError}                           The error explaining that the file is too large
+ */
+var tooLarge = function(maxBytes) {
+    return new EmbdrErrors.EmbdrValidationError(util.format('The file is larger than the maximum of %d bytes', maxBytes));
+};
+
+/*!
+ * Read a stream through a guard. The guard emits a `head` event with the first bytes of the stream
+ * before passing them on, and fails with an error once more than `maxBytes` bytes have been read.
+ * Errors of the stream are emitted by the guard as well
+ *
+ * @param  {Stream}         stream                          The stream to guard
+ * @param  {number}         [maxBytes]                      The maximum amount of bytes that can be read
+ * @return {Stream}                                         The stream that should be read instead
+ */
+var createGuard = function(stream, maxBytes) {
+    var guard = new Stream.Transform();
+    var head = [];
+    var headLength = 0;
+    var bytes = 0;
+
+    var releaseHead = function() {
+        var chunks = head;
+        head = null;
+        guard.emit('head', Buffer.concat(chunks));
+        _.each(chunks, function(chunk) {
+            guard.push(chunk);
+        });
+    };
+
+    guard._transform = function(chunk, encoding, callback) {
+        bytes += chunk.length;
+        if (maxBytes && bytes > maxBytes) {
+            return callback(tooLarge(maxBytes));
+        } else if (!head) {
+            return callback(null, chunk);
+        }
+
+        head.push(chunk);
+        headLength += chunk.length;
+        if (headLength >= HEAD_LENGTH) {
+            releaseHead();
+        }
+        return callback();
+    };
+    guard._flush = function(callback) {
+        if (head) {
+            releaseHead();
+        }
+        return callback();
+    };
+
+    stream.on('error', function(err) {
+        guard.emit('error', new EmbdrErrors.EmbdrStreamError('An error occurred when reading from the stream', {'method': 'POST', 'path': '/resources', 'err': err}));
+    });
+    return stream.pipe(guard);
+};
@@ -15,3 +15,27 @@
 module.exports.encodeURIComponent = function(uriComponent) {
     return (uriComponent === null) ? '' : encodeURIComponent(uriComponent);
 };
+
+/**
+ * Invoke an asynchronous, callback-based function and either pass its result on to the given
+ * callback or, when no callback was provided, return a Promise that settles with that result
+ *
+ * @param  {Function}   [callback]          Standard callback function. When this is not a function a Promise is returned
+ * @param  {Function}   fn                  The function to invoke. It is passed a standard callback function as its only argument
+ * @return {Promise|*}                      A Promise when no callback was provided, the return value of `fn` otherwise
+ */
+module.exports.callbackOrPromise = function(callback, fn) {
+    if (typeof callback === 'function') {
+        return fn(callback);
+    }
+
+    return new Promise(function(resolve, reject) {
+        fn(function(err, data) {
+            if (err) {
+                return reject(err);
+            }
+
+            return resolve(data);
+        });
+    });
+};
@@ -0,0 +1,225 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var url = require('url');
+
+var EmbdrErrors = require('./errors');
+
+// The header in which the REST API passes along the signature of a notification
+var SIGNATURE_HEADER = 'x-embdr-signature';
+
+// The events the REST API can send notifications for
+var EVENTS = ['start', 'thumbnails', 'images', 'complete', 'error'];
+
+/**
+ * Sign the body of a webhook notification with a shared secret. The signature is the hex-encoded
+ * HMAC-SHA256 digest of the raw body, prefixed with `sha256=`
+ *
+ * @param  {Buffer|string}  body            The raw body of the notification
+ * @param  {string}         secret          The secret that is shared with the REST API
+ * @return {string}                         The signature for the body
+ */
+var sign = module.exports.sign = function(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+};
+
+/**
+ * Create a handler that receives the notifications the REST API posts to callback URLs. The
+ * handler can be used as a plain `http` request listener or as Connect-style middleware. It can be
+ * mounted before or after a JSON body parser.
+ *
+ * A notification is a JSON object of the form `{"event": "complete", "resource": {..}}`. The
+ * `event` is one of `start`, `thumbnails`, `images`, `complete` or `error`. Error notifications
+ * pass along the error object in an `error` property. Notifications are routed to the listeners
+ * that were registered for the resource through `handler.register`. Once a resource's `complete`
+ * or `error` notification has been dispatched, its listeners are unregistered.
+ *
+ * @param  {Object}     [options]               A set of extra options
+ * @param  {string}     [options.secret]        The secret that is shared with the REST API. When specified, notifications without a valid signature are rejected with a 401. When a body parser runs before the handler, it should keep the raw body around in `req.rawBody` so the signature can be verified
+ * @param  {string}     [options.path]          Only handle requests for this path. Other requests are passed on to `next`, or answered with a 404 when there is no `next`
+ * @return {Function}                           The request handler. It has the signature `function(req, res, [next])`
+ */
+module.exports.createHandler = function(options) {
+    options = options || {};
+
+    // The registered listeners, keyed by resource id
+    var listeners = {};
+
+    var handler = function(req, res, next) {
+        if (options.path && url.parse(req.url).pathname !== options.path) {
+            if (_.isFunction(next)) {
+                return next();
+            }
+            return respond(res, 404, 'Not found');
+        } else if (req.method !== 'POST') {
+            return respond(res, 405, 'Notifications should be sent with a POST request');
+        }
+
+        readBody(req, function(err, body, parsedBody) {
+            if (err) {
+                return respond(res, 400, err.message);
+            }
+
+            // Verify that the notification originates from the REST API. The signature can only be
+            // verified against the raw body
+            if (options.secret && !body) {
+                return respond(res, 400, 'The signature of the notification can not be verified as its raw body is not available');
+            } else if (options.secret && !isValidSignature(body, req.headers[SIGNATURE_HEADER], options.secret)) {
+                return respond(res, 401, 'The notification has an invalid signature');
+            }
+
+            var notification = parsedBody;
+            if (!notification) {
+                try {
+                    notification = JSON.parse(body.toString('utf8'));
+                } catch (ex) {
+                    return respond(res, 400, 'The notification is not valid JSON');
+                }
+            }
+
+            if (!notification || !_.contains(EVENTS, notification.event) || !notification.resource || !notification.resource.id) {
+                return respond(res, 400, 'The notification does not specify a valid event and resource');
+            }
+
+            respond(res, 204);
+            dispatch(notification);
+        });
+    };
+
+    /**
+     * Register the listeners for a resource
+     *
+     * @param  {string}     resourceId                  The id of the resource to listen to
+     * @param  {Object}     resourceListeners           The listeners for the resource
+     * @param  {Function}   [resourceListeners.start]       Called with the resource when it has been created
+     * @param  {Function}   [resourceListeners.thumbnails]  Called with the thumbnails when they have been processed
+     * @param  {Function}   [resourceListeners.images]      Called with the image previews when they have been processed
+     * @param  {Function}   [resourceListeners.complete]    Called with the resource when it has been fully processed
+     * @param  {Function}   [resourceListeners.error]       Called with the error object when the resource could not be processed
+     */
+    handler.register = function(resourceId, resourceListeners) {
+        listeners[resourceId] = resourceListeners;
+    };
+
+    /**
+     * Unregister the listeners for a resource
+     *
+     * @param  {string}     resourceId                  The id of the resource to stop listening to
+     */
+    handler.unregister = function(resourceId) {
+        delete listeners[resourceId];
+    };
+
+    /*!
+     * Route a notification to the listeners of its resource
+     *
+     * @param  {Object}     notification                The parsed notification
+     */
+    var dispatch = function(notification) {
+        var resource = notification.resource;
+        var resourceListeners = listeners[resource.id];
+        if (!resourceListeners) {
+            return;
+        }
+
+        // Stop listening once the resource is done
+        if (notification.event === 'complete' || notification.event === 'error') {
+            handler.unregister(resource.id);
+        }
+
+        var listener = resourceListeners[notification.event];
+        if (!_.isFunction(listener)) {
+            return;
+        }
+
+        if (notification.event === 'thumbnails') {
+            listener(resource.thumbnails);
+        } else if (notification.event === 'images') {
+            listener(resource.images);
+        } else if (notification.event === 'error') {
+            var message = (notification.error && notification.error.message) || 'The resource could not be processed';
+            listener(new EmbdrErrors.EmbdrProcessingError(message, {'body': notification.error || null}));
+        } else {
+            listener(resource);
+        }
+    };
+
+    return handler;
+};
+
+/*!
+ * Get the body of a request. When a body parser has already consumed the request, the raw body
+ * can only be retrieved if it was kept around as a string or Buffer in `req.rawBody` or `req.body`.
+ * Otherwise, only the parsed body is available
+ *
+ * @param  {Request}    req                     The incoming request
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error object when the body could not be read
+ * @param  {Buffer}     callback.body           The raw body or `null` when only the parsed body is available
+ * @param  {Object}     [callback.parsedBody]   The body as it was parsed by a body parser, if any
+ */
+var readBody = function(req, callback) {
+    var parsedBody = _.isPlainObject(req.body) ? req.body : null;
+    var rawBody = req.rawBody || req.body;
+    if (Buffer.isBuffer(rawBody)) {
+        return callback(null, rawBody, parsedBody);
+    } else if (_.isString(rawBody)) {
+        return callback(null, new Buffer(rawBody), parsedBody);
+    } else if (parsedBody) {
+        return callback(null, null, parsedBody);
+    }
+
+    var chunks = [];
+    req.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    req.on('error', function(err) {
+        return callback({'message': 'The notification could not be read', 'err': err});
+    });
+    req.on('end', function() {
+        return callback(null, Buffer.concat(chunks));
+    });
+};
+
+/*!
+ * Check whether a signature is valid for a body. The comparison is done in constant time so the
+ * signature can't be guessed through a timing attack
+ *
+ * @param  {Buffer}     body                The raw body of the notification
+ * @param  {string}     signature           The signature that was passed along with the notification
+ * @param  {string}     secret              The secret that is shared with the REST API
+ * @return {boolean}                        Whether the signature is valid
+ */
+var isValidSignature = function(body, signature, secret) {
+    var expected = sign(body, secret);
+    if (!_.isString(signature) || signature.length !== expected.length) {
+        return false;
+    }
+
+    var mismatch = 0;
+    for (var i = 0; i < expected.length; i++) {
+        mismatch |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+    }
+    return mismatch === 0;
+};
+
+/*!
+ * Send a response
+ *
+ * @param  {Response}   res                 The response to send
+ * @param  {number}     statusCode          The status code to respond with
+ * @param  {string}     [message]           The message to respond with
+ */
+var respond = function(res, statusCode, message) {
+    res.statusCode = statusCode;
+    if (message) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify({'code': statusCode, 'message': message}));
+    }
+    res.end();
+};
@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var Stream = require('stream');
+
+var Embdr = require('../lib/embdr');
+var EmbdrCLI = require('../lib/cli');
+var EmbdrTesting = require('../testing');
+
+describe('CLI', function() {
+    var server = null;
+    var initialPollingTimeout = Embdr.DEFAULT_POLLING.initialDelay;
+
+    // Poll quickly so the tests don't have to wait for the REST API
+    before(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = 10;
+    });
+
+    after(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = initialPollingTimeout;
+    });
+
+    beforeEach(function(callback) {
+        server = EmbdrTesting.createServer({'apiKey': 'test-key'});
+        server.listen(callback);
+    });
+
+    afterEach(function(callback) {
+        server.close(callback);
+    });
+
+    /*!
+     * Run the command-line tool against the fake server
+     *
+     * @param  {string[]}   argv                    The command-line arguments
+     * @param  {Object}     [options]               A set of extra options
+     * @param  {Object}     [options.env]           The environment variables. Defaults to variables that point to the fake server
+     * @param  {Stream}     [options.stdin]         The stream that is passed in as stdin
+     * @param  {Function}   callback                Invoked when the tool is done
+     * @param  {number}     callback.code           The exit code
+     * @param  {Object[]}   callback.lines          The parsed lines that were printed to stdout
+     * @param  {string}     callback.stderr         The output that was printed to stderr
+     */
+    var run = function(argv, options, callback) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+
+        var stdout = '';
+        var stderr = '';
+        var io = {
+            'env': options.env || {
+                'EMBDR_API_KEY': 'test-key',
+                'EMBDR_HOST': 'localhost',
+                'EMBDR_PORT': String(server.port),
+                'EMBDR_PROTOCOL': 'http'
+            },
+            'stdin': options.stdin || new Stream.PassThrough(),
+            'stdout': new Stream.PassThrough(),
+            'stderr': new Stream.PassThrough()
+        };
+        io.stdout.on('data', function(chunk) {
+            stdout += chunk;
+        });
+        io.stderr.on('data', function(chunk) {
+            stderr += chunk;
+        });
+
+        EmbdrCLI.run(argv, io, function(code) {
+            var lines = _.map(_.compact(stdout.split('\n')), JSON.parse);
+            return callback(code, lines, stderr);
+        });
+    };
+
+    it('processes a file and prints its progress', function(callback) {
+        run(['process', __filename, '--thumbnails', '32x32, 64x64', '--images', '768x'], function(code, lines) {
+            assert.strictEqual(code, 0);
+            assert.strictEqual(_.first(lines).event, 'start');
+            assert.strictEqual(_.last(lines).event, 'complete');
+            assert.strictEqual(_.last(lines).resource.status, 'done');
+            assert.deepEqual(_.pluck(_.last(lines).resource.thumbnails, 'size'), ['32x32', '64x64']);
+            assert.deepEqual(_.pluck(_.last(lines).resource.images, 'size'), ['768x']);
+
+            var created = _.findWhere(server.requests, {'method': 'POST'});
+            assert.strictEqual(created.fields.thumbnailSizes, '32x32,64x64');
+            return callback();
+        });
+    });
+
+    it('processes the data on stdin', function(callback) {
+        var stdin = new Stream.PassThrough();
+        stdin.end('Some piped content');
+
+        run(['process', '-'], {'stdin': stdin}, function(code, lines) {
+            assert.strictEqual(code, 0);
+            assert.strictEqual(_.last(lines).resource.size, 'Some piped content'.length);
+            return callback();
+        });
+    });
+
+    it('exits with a non-zero code when a preview fails', function(callback) {
+        server.close(function() {
+            server = EmbdrTesting.createServer({'apiKey': 'test-key', 'failedSizes': ['32x32']});
+            server.listen(function() {
+                run(['process', __filename, '--thumbnails', '32x32'], function(code, lines) {
+                    assert.strictEqual(code, 1);
+                    assert.strictEqual(_.last(lines).resource.thumbnails[0].status, 'failed');
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('exits with a non-zero code when the REST API returns an error', function(callback) {
+        run(['get', 'fake1', '--api-key', 'wrong-key'], function(code, lines) {
+            assert.strictEqual(code, 1);
+            assert.strictEqual(lines[0].event, 'error');
+            assert.strictEqual(lines[0].error.code, 401);
+            return callback();
+        });
+    });
+
+    it('rejects invalid sizes before uploading', function(callback) {
+        run(['process', __filename, '--thumbnails', '32x32,0x0'], function(code, lines) {
+            assert.strictEqual(code, 2);
+            assert.strictEqual(lines[0].error.name, 'EmbdrValidationError');
+            assert.strictEqual(server.requests.length, 0);
+            return callback();
+        });
+    });
+
+    it('gets and watches a resource', function(callback) {
+        run(['process', __filename], function(code, lines) {
+            var id = lines[0].resource.id;
+
+            run(['get', id], function(getCode, getLines) {
+                assert.strictEqual(getCode, 0);
+                assert.strictEqual(getLines[0].id, id);
+
+                run(['watch', id], function(watchCode, watchLines) {
+                    assert.strictEqual(watchCode, 0);
+                    assert.strictEqual(_.last(watchLines).event, 'complete');
+                    assert.strictEqual(_.last(watchLines).resource.id, id);
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('takes the REST API settings from flags', function(callback) {
+        var argv = ['get', 'fake1', '--api-key', 'test-key', '--host', 'localhost', '--port', String(server.port), '--protocol', 'http'];
+        run(argv, {'env': {}}, function(code, lines) {
+            // The resource doesn't exist, but the request did reach the fake server
+            assert.strictEqual(code, 1);
+            assert.strictEqual(lines[0].error.code, 404);
+            return callback();
+        });
+    });
+
+    it('prints each request to stderr when debugging', function(callback) {
+        run(['get', 'fake1', '--debug'], function(code, lines, stderr) {
+            assert.strictEqual(code, 1);
+            assert.ok(/^embdr GET http:\/\/localhost:\d+\/api\/resources\/fake1 404 /.test(stderr));
+            assert.strictEqual(stderr.indexOf('test-key'), -1);
+            return callback();
+        });
+    });
+
+    it('takes the URL of the REST API from the environment', function(callback) {
+        var env = {'EMBDR_API_KEY': 'test-key', 'EMBDR_URL': 'http://localhost:' + server.port + '/api'};
+        run(['get', 'fake1'], {'env': env}, function(code, lines) {
+            assert.strictEqual(code, 1);
+            assert.strictEqual(lines[0].error.code, 404);
+            return callback();
+        });
+    });
+
+    it('prints the usage for invalid commands', function(callback) {
+        run(['frobnicate', 'something'], function(code, lines, stderr) {
+            assert.strictEqual(code, 2);
+            assert.ok(_.startsWith(stderr, 'Usage: embdr'));
+
+            run(['get'], function(getCode) {
+                assert.strictEqual(getCode, 2);
+                return callback();
+            });
+        });
+    });
+});
@@ -0,0 +1,1736 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var Stream = require('stream');
+
+var Embdr = require('../lib/embdr');
+var EmbdrTesting = require('../testing');
+
+describe('Embdr', function() {
+    var server = null;
+    var embdr = null;
+    var initialPollingTimeout = Embdr.DEFAULT_POLLING.initialDelay;
+
+    // Poll quickly so the tests don't have to wait for the REST API
+    before(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = 10;
+    });
+
+    after(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = initialPollingTimeout;
+    });
+
+    beforeEach(function(callback) {
+        server = EmbdrTesting.createServer({'apiKey': 'test-key', 'processingDelay': null});
+        server.listen(function(err) {
+            assert.ok(!err);
+            embdr = server.createClient();
+            return callback();
+        });
+    });
+
+    afterEach(function(callback) {
+        server.close(callback);
+    });
+
+    describe('Resources', function() {
+        it('creates a file from a path on disk', function(callback) {
+            embdr.resources.createFile(__filename, {'thumbnailSizes': ['32x32', '64x64']}, function(err, resource) {
+                assert.ok(!err);
+                assert.strictEqual(resource.type, 'file');
+                assert.strictEqual(resource.status, 'pending');
+                assert.strictEqual(resource.size, fs.statSync(__filename).size);
+                assert.deepEqual(_.pluck(resource.thumbnails, 'size'), ['32x32', '64x64']);
+                assert.deepEqual(resource.images, []);
+                return callback();
+            });
+        });
+
+        it('creates a file from a buffer or a stream', function() {
+            var stream = new Stream.PassThrough();
+            stream.end('Some streamed content');
+
+            return embdr.resources.createFile(new Buffer('Some content'), {'imageSizes': ['768x']})
+                .then(function(resource) {
+                    assert.strictEqual(resource.size, 12);
+                    assert.deepEqual(_.pluck(resource.images, 'size'), ['768x']);
+                    return embdr.resources.createFile(stream);
+                })
+                .then(function(resource) {
+                    assert.strictEqual(resource.size, 21);
+                });
+        });
+
+        it('sends the sizes before the file', function(callback) {
+            server.once('request', function(req) {
+                assert.deepEqual(_.keys(req.fields), ['thumbnailSizes', 'file']);
+            });
+            embdr.resources.createFile(new Buffer('Some content'), {'thumbnailSizes': ['32x32']}, callback);
+        });
+
+        it('uploads files with their filename and content type', function() {
+            var png = Buffer.concat([new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), new Buffer('Not really an image')]);
+            var stream = new Stream.PassThrough();
+            stream.end('Some content');
+            return Promise.all([
+                embdr.resources.createFile(png),
+                embdr.resources.createFile(new Buffer('Some notes'), {'filename': 'notes.txt'}),
+                embdr.resources.createFile(stream, {'filename': 'data.bin', 'contentType': 'application/x-custom'})
+            ]).then(function(resources) {
+                assert.strictEqual(resources[0].filename, 'file.png');
+                assert.strictEqual(resources[0].mimeType, 'image/png');
+                assert.strictEqual(resources[1].filename, 'notes.txt');
+                assert.strictEqual(resources[1].mimeType, 'text/plain');
+                assert.strictEqual(resources[2].filename, 'data.bin');
+                assert.strictEqual(resources[2].mimeType, 'application/x-custom');
+                assert.strictEqual(resources[2].size, 12);
+            });
+        });
+
+        it('reports the progress of an upload', function() {
+            var fileProgress = [];
+            var streamProgress = [];
+            var stream = new Stream.PassThrough();
+            stream.end('Some content');
+            return embdr.resources.createFile(__filename, {'uploadProgress': fileProgress.push.bind(fileProgress)}).then(function(resource) {
+                assert.strictEqual(resource.size, fs.statSync(__filename).size);
+                assert.ok(fileProgress.length > 1);
+                assert.ok(_.last(fileProgress).total > resource.size);
+                assert.strictEqual(_.last(fileProgress).bytes, _.last(fileProgress).total);
+                return embdr.resources.createFile(stream, {'uploadProgress': streamProgress.push.bind(streamProgress)});
+            }).then(function() {
+                assert.ok(_.last(streamProgress).bytes > 12);
+                assert.strictEqual(_.last(streamProgress).total, null);
+            });
+        });
+
+        it('rejects files that are too large or of a type that is not allowed', function() {
+            var expectInvalid = function(promise, message) {
+                return promise.then(function() {
+                    assert.fail('Expected the file to be rejected');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrValidationError);
+                    assert.strictEqual(err.message, message);
+                });
+            };
+
+            var stream = new Stream.PassThrough();
+            stream.write(new Buffer(100));
+            var upload = expectInvalid(embdr.resources.createFile(stream, {'maxBytes': 150}), 'The file is larger than the maximum of 150 bytes');
+            stream.end(new Buffer(100));
+
+            return Promise.all([
+                expectInvalid(embdr.resources.createFile(new Buffer('Some content'), {'maxBytes': 5}), 'The file is larger than the maximum of 5 bytes'),
+                expectInvalid(embdr.resources.createFile(__filename, {'maxBytes': 5}), 'The file is larger than the maximum of 5 bytes'),
+                expectInvalid(embdr.resources.createFile(__filename, {'allowedTypes': ['image/*', 'application/pdf']}), 'Files of type application/javascript are not allowed. Allowed types are: image/*, application/pdf'),
+                upload
+            ]).then(function() {
+                assert.ok(_.isEmpty(server.resources));
+                return embdr.resources.createFile(new Buffer('GIF89a'), {'allowedTypes': ['image/*'], 'maxBytes': 6});
+            }).then(function(resource) {
+                assert.strictEqual(resource.mimeType, 'image/gif');
+            });
+        });
+
+        it('creates a link', function() {
+            return embdr.resources.createLink('http://www.google.com', {'thumbnailSizes': ['32x32']}).then(function(resource) {
+                assert.strictEqual(resource.type, 'link');
+                assert.strictEqual(resource.link, 'http://www.google.com');
+                assert.strictEqual(resource.thumbnails.length, 1);
+            });
+        });
+
+        it('gets a resource', function() {
+            return embdr.resources.createLink('http://www.google.com')
+                .then(function(resource) {
+                    return embdr.resources.get(resource.id);
+                })
+                .then(function(resource) {
+                    assert.strictEqual(resource.link, 'http://www.google.com');
+                });
+        });
+
+        it('returns the REST API error', function() {
+            return embdr.resources.get('non-existing').then(function() {
+                assert.fail('Expected the request to fail');
+            }, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrNotFoundError);
+                assert.ok(err instanceof Embdr.EmbdrError);
+                assert.ok(err instanceof Error);
+                assert.strictEqual(err.name, 'EmbdrNotFoundError');
+                assert.strictEqual(err.code, 404);
+                assert.strictEqual(err.status, 404);
+                assert.strictEqual(err.message, 'The resource could not be found');
+                assert.deepEqual(err.body, {'code': 404, 'message': 'The resource could not be found'});
+                assert.strictEqual(err.method, 'GET');
+                assert.strictEqual(err.path, '/resources/non-existing');
+                assert.ok(err.stack.indexOf('The resource could not be found') !== -1);
+                assert.strictEqual(JSON.parse(JSON.stringify(err)).name, 'EmbdrNotFoundError');
+            });
+        });
+
+        it('returns a validation error when the request is invalid', function() {
+            return embdr.resources.createLink('http://www.google.com').then(function(resource) {
+                return embdr.resources.reprocess(resource.id, {});
+            }).then(function() {
+                assert.fail('Expected the request to fail');
+            }, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrValidationError);
+                assert.strictEqual(err.status, 400);
+                assert.strictEqual(err.method, 'POST');
+                assert.strictEqual(err.path, '/resources/fake1/reprocess');
+            });
+        });
+
+        it('passes the error of a reprocess request to its callback when no options are given', function(callback) {
+            embdr.resources.createLink('http://www.google.com', function(err, resource) {
+                assert.ok(!err);
+                embdr.resources.reprocess(resource.id, function(reprocessErr, reprocessed) {
+                    assert.ok(reprocessErr instanceof Embdr.EmbdrValidationError);
+                    assert.strictEqual(reprocessErr.status, 400);
+                    assert.ok(!reprocessed);
+                    return callback();
+                });
+            });
+        });
+
+        it('normalizes the sizes and rejects invalid sizes before uploading', function() {
+            embdr.setSizePresets({'small': {'width': 16, 'height': 16}});
+            assert.throws(function() {
+                embdr.resources.createFile(__filename, {'thumbnailSizes': ['32x32', '256×0']});
+            }, Embdr.EmbdrValidationError);
+            assert.throws(function() {
+                embdr.setSizePresets({'large': 'huge'});
+            }, Embdr.EmbdrValidationError);
+            assert.strictEqual(server.requests.length, 0);
+
+            return embdr.resources.createLink('http://www.google.com', {'thumbnailSizes': ['32×32', 'small', '16x16'], 'imageSizes': 'x600'}).then(function(resource) {
+                assert.deepEqual(_.pluck(resource.thumbnails, 'size'), ['32x32', '16x16']);
+                assert.deepEqual(_.pluck(resource.images, 'size'), ['x600']);
+            });
+        });
+
+        it('returns an error when the API key is invalid', function(callback) {
+            embdr.setApiKey('wrong-key');
+            embdr.resources.createLink('http://www.google.com', function(err) {
+                assert.ok(err instanceof Embdr.EmbdrAuthError);
+                assert.strictEqual(err.code, 401);
+                return callback();
+            });
+        });
+
+        it('returns an error when the path does not exist', function(callback) {
+            embdr.resources.createFile(path.join(__dirname, 'non-existing'), function(err) {
+                assert.ok(err instanceof Embdr.EmbdrStreamError);
+                assert.strictEqual(err.status, null);
+                assert.strictEqual(err.err.code, 'ENOENT');
+                return callback();
+            });
+        });
+
+        it('returns an error when the REST API can not be reached', function(callback) {
+            embdr.setRetry({'maxAttempts': 1});
+            server.injectError({'destroy': true});
+            embdr.resources.get('fake1', function(err) {
+                assert.ok(err instanceof Embdr.EmbdrNetworkError);
+                assert.strictEqual(err.code, 500);
+                assert.strictEqual(err.status, null);
+                assert.ok(err.err);
+                return callback();
+            });
+        });
+
+        it('returns an error when the REST API does not return JSON', function(callback) {
+            embdr.setRetry({'maxAttempts': 1});
+            server.injectError({'status': 503, 'body': 'Service Unavailable'});
+            embdr.resources.get('fake1', function(err) {
+                assert.ok(err instanceof Embdr.EmbdrError);
+                assert.strictEqual(err.code, 503);
+                assert.strictEqual(err.status, 503);
+                assert.strictEqual(err.message, 'Service Unavailable');
+                assert.strictEqual(err.body, 'Service Unavailable');
+                return callback();
+            });
+        });
+
+        it('lists resources a page at a time', function() {
+            var links = _.times(5, function(i) {
+                return embdr.resources.createLink('http://www.google.com/' + i);
+            });
+            return Promise.all(links).then(function() {
+                server.finish('fake2');
+                return embdr.resources.list({'limit': 2});
+            }).then(function(page) {
+                assert.deepEqual(_.pluck(page.results, 'id'), ['fake1', 'fake2']);
+                assert.strictEqual(page.nextCursor, 'fake2');
+                return embdr.resources.list({'limit': 2, 'cursor': page.nextCursor});
+            }).then(function(page) {
+                assert.deepEqual(_.pluck(page.results, 'id'), ['fake3', 'fake4']);
+                return embdr.resources.list({'status': 'done', 'since': new Date(Date.now() - 60000)});
+            }).then(function(page) {
+                assert.deepEqual(_.pluck(page.results, 'id'), ['fake2']);
+                assert.strictEqual(page.nextCursor, null);
+
+                var query = _.last(server.requests).query;
+                assert.strictEqual(query.status, 'done');
+                assert.ok(!_.has(query, 'limit'));
+                assert.ok(!_.isNaN(Date.parse(query.since)));
+            });
+        });
+
+        it('iterates over all resources', function(callback) {
+            var links = _.times(5, function(i) {
+                return embdr.resources.createLink('http://www.google.com/' + i);
+            });
+            Promise.all(links).then(function() {
+                var ids = [];
+                var iterator = embdr.resources.iterate({'limit': 2});
+                var next = function() {
+                    iterator.next().then(function(result) {
+                        if (result.done) {
+                            assert.deepEqual(ids, ['fake1', 'fake2', 'fake3', 'fake4', 'fake5']);
+
+                            // Three pages were retrieved
+                            assert.strictEqual(_.where(server.requests, {'method': 'GET', 'path': '/resources'}).length, 3);
+                            return callback();
+                        }
+
+                        ids.push(result.value.id);
+                        return next();
+                    }).catch(callback);
+                };
+                next();
+            }).catch(callback);
+        });
+
+        it('deletes a resource', function() {
+            return embdr.resources.createLink('http://www.google.com').then(function(resource) {
+                return embdr.resources.delete(resource.id);
+            }).then(function() {
+                return embdr.resources.get('fake1');
+            }).then(function() {
+                assert.fail('Expected the resource to be deleted');
+            }, function(err) {
+                assert.strictEqual(err.code, 404);
+                return embdr.resources.delete('fake1');
+            }).then(function() {
+                assert.fail('Expected the second delete to fail');
+            }, function(err) {
+                assert.strictEqual(err.code, 404);
+            });
+        });
+
+        it('reprocesses a resource with additional sizes', function() {
+            return embdr.resources.createLink('http://www.google.com', {'thumbnailSizes': ['32x32']}).then(function(resource) {
+                server.finish(resource.id);
+                return embdr.resources.reprocess(resource.id, {'thumbnailSizes': ['32x32', '64x64', null], 'imageSizes': ['768x']});
+            }).then(function(resource) {
+                assert.strictEqual(resource.status, 'pending');
+                assert.deepEqual(resource.thumbnails, [{'size': '32x32', 'status': 'done'}, {'size': '64x64', 'status': 'pending'}]);
+                assert.deepEqual(resource.images, [{'size': '768x', 'status': 'pending'}]);
+                assert.strictEqual(_.last(server.requests).path, '/resources/fake1/reprocess');
+                assert.strictEqual(_.last(server.requests).fields.thumbnailSizes, '32x32,64x64');
+                return embdr.resources.reprocess(resource.id, {'thumbnailSizes': ['big']});
+            }).then(function() {
+                assert.fail('Expected an invalid size to be rejected');
+            }, function(err) {
+                // Invalid sizes are rejected before the request is made
+                assert.ok(err instanceof Embdr.EmbdrValidationError);
+                assert.strictEqual(err.message.indexOf('Invalid size "big"'), 0);
+                assert.strictEqual(_.last(server.requests).path, '/resources/fake1/reprocess');
+                assert.strictEqual(server.requests.length, 2);
+            });
+        });
+    });
+
+    describe('Retries', function() {
+        beforeEach(function() {
+            embdr.setRetry({'minDelay': 5});
+        });
+
+        it('retries GET requests that fail with a transient error', function() {
+            var retries = [];
+            embdr.on('retry', function(info) {
+                retries.push(info);
+            });
+
+            server.injectError({'method': 'GET', 'destroy': true});
+            server.injectError({'method': 'GET', 'status': 503});
+            return embdr.resources.createLink('http://www.google.com')
+                .then(function(resource) {
+                    return embdr.resources.get(resource.id);
+                })
+                .then(function(resource) {
+                    assert.strictEqual(resource.link, 'http://www.google.com');
+                    assert.deepEqual(_.pluck(retries, 'attempt'), [1, 2]);
+                    assert.strictEqual(retries[0].method, 'GET');
+                    assert.strictEqual(retries[0].path, '/resources/fake1');
+                    assert.strictEqual(retries[1].err.code, 503);
+                });
+        });
+
+        it('gives up after the maximum number of attempts', function(callback) {
+            server.injectError({'method': 'GET', 'status': 502, 'times': 3});
+            embdr.resources.get('fake1', function(err) {
+                assert.strictEqual(err.code, 502);
+                assert.strictEqual(server.requests.length, 3);
+                return callback();
+            });
+        });
+
+        it('respects the Retry-After header', function(callback) {
+            embdr.on('retry', function(info) {
+                assert.strictEqual(info.delay, 1000);
+            });
+            server.injectError({'method': 'GET', 'status': 429, 'headers': {'Retry-After': '1'}});
+            embdr.resources.get('fake1', function(err) {
+                assert.strictEqual(err.code, 404);
+                assert.strictEqual(server.requests.length, 2);
+                return callback();
+            });
+        });
+
+        it('returns a rate limit error when retries are exhausted', function(callback) {
+            embdr.setRetry({'maxAttempts': 1});
+            server.injectError({'method': 'GET', 'status': 429, 'headers': {'Retry-After': '2'}});
+            embdr.resources.get('fake1', function(err) {
+                assert.ok(err instanceof Embdr.EmbdrRateLimitError);
+                assert.strictEqual(err.status, 429);
+                assert.strictEqual(err.retryAfter, 2000);
+                return callback();
+            });
+        });
+
+        it('does not retry POST requests or other errors by default', function(callback) {
+            server.injectError({'method': 'POST', 'status': 503});
+            embdr.resources.createLink('http://www.google.com', function(err) {
+                assert.strictEqual(err.code, 503);
+                embdr.resources.get('non-existing', function(getErr) {
+                    assert.strictEqual(getErr.code, 404);
+                    assert.strictEqual(server.requests.length, 2);
+                    return callback();
+                });
+            });
+        });
+
+        it('buffers or spools streams so uploads can be retried', function() {
+            embdr.setRetry({'methods': ['GET', 'POST'], 'streams': 'buffer'});
+            server.injectError({'method': 'POST', 'status': 503});
+            return embdr.resources.createFile(fs.createReadStream(__filename))
+                .then(function(resource) {
+                    assert.strictEqual(resource.size, fs.statSync(__filename).size);
+                    assert.strictEqual(resource.filename, 'embdr.js');
+
+                    embdr.setRetry({'streams': 'spool'});
+                    server.injectError({'method': 'POST', 'status': 503});
+                    return embdr.resources.createFile(fs.createReadStream(__filename));
+                })
+                .then(function(resource) {
+                    assert.strictEqual(resource.size, fs.statSync(__filename).size);
+                    assert.strictEqual(resource.filename, 'embdr.js');
+                    assert.strictEqual(server.requests.length, 4);
+                });
+        });
+
+        it('fails clearly when a consumed stream would need to be retried', function(callback) {
+            embdr.setRetry({'methods': ['GET', 'POST']});
+            server.injectError({'method': 'POST', 'status': 503});
+            embdr.resources.createFile(fs.createReadStream(__filename), function(err) {
+                assert.ok(err instanceof Embdr.EmbdrStreamError);
+                assert.strictEqual(err.code, 503);
+                assert.strictEqual(err.status, 503);
+                assert.strictEqual(err.message, 'The request failed and can not be retried as its stream has already been consumed');
+                return callback();
+            });
+        });
+    });
+
+    describe('Downloads', function() {
+        var dir = null;
+
+        beforeEach(function() {
+            dir = path.join(os.tmpdir(), 'embdr-test-' + Date.now());
+        });
+
+        afterEach(function() {
+            var remove = function(removePath) {
+                if (fs.statSync(removePath).isDirectory()) {
+                    _.each(fs.readdirSync(removePath), function(filename) {
+                        remove(path.join(removePath, filename));
+                    });
+                    fs.rmdirSync(removePath);
+                } else {
+                    fs.unlinkSync(removePath);
+                }
+            };
+            if (fs.existsSync(dir)) {
+                remove(dir);
+            }
+        });
+
+        it('downloads a preview', function(callback) {
+            server.processingDelay = 0;
+            embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}}).then(function(resource) {
+                var chunks = [];
+                var stream = embdr.resources.download(resource, {'type': 'thumbnails', 'size': '32x32'});
+                stream.on('response', function(response) {
+                    assert.strictEqual(response.headers['content-type'], 'image/png');
+                });
+                stream.on('data', function(chunk) {
+                    chunks.push(chunk);
+                });
+                stream.on('end', function() {
+                    assert.strictEqual(Buffer.concat(chunks).slice(1, 4).toString(), 'PNG');
+                    return callback();
+                });
+            });
+        });
+
+        it('returns an error when the preview is not available', function(callback) {
+            embdr.resources.createLink('http://www.google.com', {'thumbnailSizes': ['32x32']}, function(err, resource) {
+                assert.ok(!err);
+                embdr.resources.download(resource, {'type': 'thumbnails', 'size': '32x32'}).on('error', function(downloadErr) {
+                    assert.ok(downloadErr instanceof Embdr.EmbdrNotFoundError);
+                    assert.strictEqual(downloadErr.code, 404);
+                    assert.strictEqual(downloadErr.status, 404);
+                    assert.strictEqual(downloadErr.method, 'GET');
+                    assert.strictEqual(downloadErr.path, '/resources/fake1/thumbnails/32x32');
+
+                    // Pretend the preview is done while the server doesn't have it
+                    resource.thumbnails[0].status = 'done';
+                    embdr.resources.download(resource, {'type': 'thumbnails', 'size': '32x32'}).on('error', function(serverErr) {
+                        assert.ok(serverErr instanceof Embdr.EmbdrNotFoundError);
+                        assert.strictEqual(serverErr.status, 404);
+                        assert.strictEqual(serverErr.message, 'The preview could not be found');
+                        return callback();
+                    });
+                });
+            });
+        });
+
+        it('only sends the API key along with downloads from the REST API', function(callback) {
+            server.processingDelay = 0;
+            var authorizations = [];
+            var fileServer = http.createServer(function(req, res) {
+                authorizations.push(req.headers.authorization);
+                res.writeHead(200, {'Content-Type': 'image/png'});
+                res.end('PNG');
+            });
+            fileServer.listen(0, function() {
+                embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}}).then(function(resource) {
+                    embdr.resources.download(resource, {'type': 'thumbnails', 'size': '32x32'}).on('end', function() {
+                        assert.ok(_.last(server.requests).headers.authorization);
+
+                        // A preview on the same host but a different port doesn't get the API key
+                        resource.thumbnails[0].url = 'http://localhost:' + fileServer.address().port + '/32x32.png';
+                        embdr.resources.download(resource, {'type': 'thumbnails', 'size': '32x32'}).on('end', function() {
+                            fileServer.close();
+                            assert.deepEqual(authorizations, [undefined]);
+                            return callback();
+                        }).resume();
+                    }).resume();
+                }).catch(callback);
+            });
+        });
+
+        it('saves all the generated previews', function() {
+            server.processingDelay = 0;
+            server.failedSizes = ['64x64'];
+            return embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32', '64x64']}, 'images': {'sizes': ['768x']}})
+                .then(function(resource) {
+                    return embdr.resources.saveAll(resource, dir);
+                })
+                .then(function(manifest) {
+                    assert.deepEqual(manifest, [
+                        {'type': 'thumbnails', 'size': '32x32', 'path': path.join(dir, 'fake1-thumbnail-32x32.png'), 'bytes': 68, 'contentType': 'image/png'},
+                        {'type': 'images', 'size': '768x', 'path': path.join(dir, 'fake1-image-768x.png'), 'bytes': 68, 'contentType': 'image/png'}
+                    ]);
+                    assert.deepEqual(fs.readdirSync(dir).sort(), ['fake1-image-768x.png', 'fake1-thumbnail-32x32.png']);
+                });
+        });
+
+        it('does not save previews outside of the directory', function() {
+            server.processingDelay = 0;
+            return embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}})
+                .then(function(resource) {
+                    resource.id = '../../evil';
+                    resource.thumbnails[0].size = '/tmp/32x32';
+                    resource.thumbnails[0].url = 'http://localhost:' + server.port + '/api/resources/fake1/thumbnails/32x32';
+                    return embdr.resources.saveAll(resource, dir);
+                })
+                .then(function(manifest) {
+                    assert.strictEqual(manifest[0].path, path.join(dir, '.._.._evil-thumbnail-_tmp_32x32.png'));
+                    assert.deepEqual(fs.readdirSync(dir), ['.._.._evil-thumbnail-_tmp_32x32.png']);
+                });
+        });
+
+        it('creates the directory and its parents to save the previews in', function() {
+            server.processingDelay = 0;
+            var nestedDir = path.join(dir, 'nested', 'previews');
+            return embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}})
+                .then(function(resource) {
+                    return embdr.resources.saveAll(resource, nestedDir);
+                })
+                .then(function(manifest) {
+                    assert.strictEqual(manifest[0].path, path.join(nestedDir, 'fake1-thumbnail-32x32.png'));
+                    assert.deepEqual(fs.readdirSync(nestedDir), ['fake1-thumbnail-32x32.png']);
+                });
+        });
+
+        it('removes a partially saved preview when the download fails', function(callback) {
+            server.processingDelay = 0;
+            var fileServer = http.createServer(function(req, res) {
+                res.writeHead(200, {'Content-Type': 'image/png', 'Content-Length': 1000});
+                res.write('partial');
+                setTimeout(function() {
+                    res.socket.destroy();
+                }, 20);
+            });
+            fileServer.listen(0, function() {
+                embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}}).then(function(resource) {
+                    resource.thumbnails[0].url = 'http://localhost:' + fileServer.address().port + '/32x32.png';
+                    embdr.resources.saveAll(resource, dir, function(err, manifest) {
+                        fileServer.close();
+                        assert.ok(err);
+                        assert.ok(!manifest);
+                        assert.deepEqual(fs.readdirSync(dir), []);
+                        return callback();
+                    });
+                }).catch(callback);
+            });
+        });
+
+        it('reports a single outcome when the previews can not be saved', function(callback) {
+            server.processingDelay = 0;
+            var metrics = [];
+            embdr.on('metric', function(metric) {
+                if (metric.name === 'process') {
+                    metrics.push(metric);
+                }
+            });
+            embdr.process(new Buffer('Some content'), {
+                'thumbnails': {'sizes': ['32x32']},
+                'download': path.join(__filename, 'previews'),
+                'complete': function() {
+                    assert.fail('Expected saving the previews to fail');
+                }
+            }).catch(function(err) {
+                assert.ok(err instanceof Embdr.EmbdrStreamError);
+                setTimeout(function() {
+                    assert.deepEqual(_.pluck(metrics, 'outcome'), ['error']);
+                    return callback();
+                }, 20);
+            });
+        });
+
+        it('saves the previews when processing completes', function(callback) {
+            server.processingDelay = 0;
+            embdr.process(new Buffer('Some content'), {
+                'thumbnails': {'sizes': ['32x32']},
+                'download': function(stream, preview, writerCallback) {
+                    stream.resume();
+                    stream.on('end', function() {
+                        return writerCallback(null, {'size': preview.size});
+                    });
+                },
+                'complete': function(resource, manifest) {
+                    assert.deepEqual(manifest, [{'size': '32x32'}]);
+                    return callback();
+                }
+            });
+        });
+    });
+
+    describe('#process', function() {
+        it('invokes the callbacks as the resource is processed', function(callback) {
+            var invoked = [];
+            var resourceId = null;
+            embdr.process(new Buffer('Some content'), {
+                'start': function(resource) {
+                    invoked.push('start');
+                    resourceId = resource.id;
+                    assert.strictEqual(resource.status, 'pending');
+                    server.setPreviewStatus(resource.id, 'thumbnails', '32x32', 'done');
+                },
+                'thumbnails': {
+                    'sizes': ['32x32'],
+                    'complete': function(thumbnails) {
+                        invoked.push('thumbnails');
+                        assert.deepEqual(thumbnails, [{'size': '32x32', 'status': 'done'}]);
+                        server.setPreviewStatus(resourceId, 'images', '768x', 'failed');
+                    }
+                },
+                'images': {
+                    'sizes': ['768x'],
+                    'complete': function(images) {
+                        invoked.push('images');
+                        assert.deepEqual(images, [{'size': '768x', 'status': 'failed'}]);
+                    }
+                },
+                'complete': function(resource) {
+                    assert.deepEqual(invoked, ['start', 'thumbnails', 'images']);
+                    assert.strictEqual(resource.status, 'done');
+                    return callback();
+                },
+                'error': function(err) {
+                    assert.fail(err);
+                }
+            });
+        });
+
+        it('sends the per-call timeout and headers along with each request', function(callback) {
+            var timeouts = [];
+            embdr.addInterceptor({
+                'request': function(options) {
+                    timeouts.push(options.timeout);
+                }
+            });
+            embdr.process(new Buffer('Some content'), {
+                'thumbnails': {'sizes': ['32x32']},
+                'timeout': 5000,
+                'headers': {'X-Request-Id': 'abc'},
+                'start': function(resource) {
+                    server.finish(resource.id);
+                },
+                'complete': function(resource) {
+                    assert.deepEqual(_.uniq(_.pluck(server.requests, 'method')), ['POST', 'GET']);
+                    assert.deepEqual(_.uniq(_.pluck(_.pluck(server.requests, 'headers'), 'x-request-id')), ['abc']);
+                    assert.deepEqual(_.uniq(timeouts), [5000]);
+
+                    // Watching the resource polls it with the same overrides
+                    var requests = server.requests.length;
+                    embdr.watch(resource.id, {'headers': {'X-Request-Id': 'def'}}).then(function() {
+                        assert.strictEqual(server.requests[requests].headers['x-request-id'], 'def');
+                        return callback();
+                    }).catch(callback);
+                }
+            });
+        });
+
+        it('returns a handle that emits the processing events', function(callback) {
+            var events = [];
+            var handle = embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}});
+            _.each(['start', 'progress', 'thumbnails', 'images', 'complete'], function(name) {
+                handle.on(name, function() {
+                    events.push(name);
+                });
+            });
+            handle.on('start', function(resource) {
+                setTimeout(function() {
+                    server.finish(resource.id);
+                }, 30);
+            });
+            handle.on('complete', function(resource) {
+                assert.strictEqual(handle.resource, resource);
+                assert.strictEqual(events[0], 'start');
+                assert.ok(_.contains(events, 'progress'));
+                assert.deepEqual(_.takeRight(events, 3), ['progress', 'thumbnails', 'complete']);
+                return callback();
+            });
+        });
+
+        it('emits an event for each preview as soon as it has finished', function(callback) {
+            server.failedSizes = ['256x256'];
+            var events = [];
+            var handle = embdr.process(new Buffer('Some content'), {
+                'thumbnails': {
+                    'sizes': ['32x32', '256x256'],
+                    'complete': function(thumbnails, summary) {
+                        assert.deepEqual(summary, {'succeeded': ['32x32'], 'failed': ['256x256']});
+                    }
+                },
+                'images': {'sizes': ['768x']}
+            });
+            _.each(['thumbnail:ready', 'image:ready', 'preview:failed', 'thumbnails', 'images'], function(name) {
+                handle.on(name, function(data) {
+                    events.push(_.has(data, 'size') ? name + ' ' + data.size : name);
+                });
+            });
+
+            // The first thumbnail is ready well before the other previews
+            handle.on('start', function(resource) {
+                server.setPreviewStatus(resource.id, 'thumbnails', '32x32', 'done');
+            });
+            handle.once('thumbnail:ready', function(ready) {
+                assert.deepEqual(ready, {'type': 'thumbnails', 'size': '32x32', 'preview': {'size': '32x32', 'status': 'done'}});
+                server.finish(handle.resource.id);
+            });
+            handle.on('images', function(images, summary) {
+                assert.deepEqual(summary, {'succeeded': ['768x'], 'failed': []});
+            });
+            handle.on('complete', function() {
+                assert.deepEqual(events, [
+                    'thumbnail:ready 32x32',
+                    'preview:failed 256x256',
+                    'image:ready 768x',
+                    'thumbnails',
+                    'images'
+                ]);
+                return callback();
+            });
+        });
+
+        it('resolves the handle with the processed resource', function() {
+            server.processingDelay = 0;
+            return embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}}).then(function(resource) {
+                assert.strictEqual(resource.status, 'done');
+                assert.strictEqual(resource.thumbnails[0].status, 'done');
+            });
+        });
+
+        it('completes immediately when the resource can not be processed', function() {
+            server.isSupported = _.constant(false);
+            return embdr.process(new Buffer('Some content'), {}).then(function(resource) {
+                assert.strictEqual(resource.status, 'unsupported');
+                assert.strictEqual(_.filter(server.requests, {'method': 'GET'}).length, 0);
+            });
+        });
+
+        it('rejects the handle when the resource can not be created', function() {
+            var errorInvoked = false;
+            server.injectError({'method': 'POST', 'status': 400, 'body': {'code': 400, 'message': 'Bad request'}});
+            var handle = embdr.process('http://www.google.com', {
+                'error': function() {
+                    errorInvoked = true;
+                }
+            });
+            return handle.then(function() {
+                assert.fail('Expected processing to fail');
+            }, function(err) {
+                assert.ok(errorInvoked);
+                assert.strictEqual(err.code, 400);
+                assert.strictEqual(err.message, 'Bad request');
+            });
+        });
+
+        it('emits an error when polling fails', function(callback) {
+            server.injectError({'method': 'GET', 'status': 500});
+            var handle = embdr.process('http://www.google.com', {});
+            handle.on('error', function(err) {
+                assert.strictEqual(err.code, 500);
+                return callback();
+            });
+        });
+
+        it('uploads the link itself when the REST API can not reach it', function(callback) {
+            var fileServer = http.createServer(function(req, res) {
+                res.end('Some private content');
+            });
+            fileServer.listen(0, 'localhost', function() {
+                embdr.setLinkFallback({'deny': null});
+                server.processingDelay = 0;
+                server.injectUnreachableLink();
+
+                var link = 'http://localhost:' + fileServer.address().port + '/private.txt';
+                embdr.process(link, {}).then(function(resource) {
+                    assert.strictEqual(resource.type, 'file');
+                    assert.strictEqual(resource.size, 20);
+                    assert.strictEqual(resource.status, 'done');
+                    fileServer.close(callback);
+                }, callback);
+            });
+        });
+
+        it('fetches unreachable links within the configured limits', function(callback) {
+            var fetched = [];
+            var fileServer = http.createServer(function(req, res) {
+                fetched.push({'url': req.url, 'cookie': req.headers.cookie});
+                if (req.url === '/redirect') {
+                    res.writeHead(302, {'Location': '/private.txt'});
+                    return res.end();
+                } else if (req.url === '/large.txt') {
+                    return res.end(new Buffer(100));
+                } else if (req.url === '/missing.txt') {
+                    res.statusCode = 404;
+                }
+                res.end('Some private content');
+            });
+            fileServer.listen(0, 'localhost', function() {
+                var link = 'http://localhost:' + fileServer.address().port;
+                var fallbacks = [];
+                embdr.on('linkFallback', function(fallback) {
+                    fallbacks.push(fallback);
+                });
+                embdr.setLinkFallback({'deny': null, 'maxBytes': 50, 'cookies': {'session': 'abc'}});
+
+                server.processingDelay = 0;
+                server.injectUnreachableLink();
+                embdr.process(link + '/redirect', {}).then(function(resource) {
+                    assert.strictEqual(resource.size, 20);
+                    assert.deepEqual(fetched, [{'url': '/redirect', 'cookie': 'session=abc'}, {'url': '/private.txt', 'cookie': 'session=abc'}]);
+                    assert.deepEqual(fallbacks, [{'link': link + '/redirect', 'url': link + '/private.txt', 'status': 200, 'err': null}]);
+
+                    server.injectUnreachableLink();
+                    return embdr.process(link + '/large.txt', {});
+                }).then(function() {
+                    assert.fail('Expected the link to be too large');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrValidationError);
+                    assert.strictEqual(err.message, 'The file is larger than the maximum of 50 bytes');
+
+                    server.injectUnreachableLink();
+                    return embdr.process(link + '/missing.txt', {});
+                }).then(function() {
+                    assert.fail('Expected the link to be missing');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrLinkUnreachableError);
+                    assert.strictEqual(err.status, 404);
+                    assert.strictEqual(_.last(fallbacks).err, err);
+                    fileServer.close(callback);
+                }).catch(callback);
+            });
+        });
+
+        it('does not send the configured headers and cookies along when a link redirects to another host', function(callback) {
+            var fetched = [];
+            var fileServer = http.createServer(function(req, res) {
+                fetched.push({'url': req.url, 'token': req.headers['x-intranet-token'], 'cookie': req.headers.cookie});
+                if (req.url === '/redirect') {
+                    res.writeHead(302, {'Location': 'http://localhost:' + fileServer.address().port + '/private.txt'});
+                    return res.end();
+                }
+                res.end('Some private content');
+            });
+            fileServer.listen(0, function() {
+                embdr.setLinkFallback({'deny': null, 'headers': {'X-Intranet-Token': 'secret'}, 'cookies': {'session': 'abc'}});
+
+                server.processingDelay = 0;
+                server.injectUnreachableLink();
+                embdr.process('http://127.0.0.1:' + fileServer.address().port + '/redirect', {}).then(function(resource) {
+                    assert.strictEqual(resource.size, 20);
+                    assert.deepEqual(fetched, [
+                        {'url': '/redirect', 'token': 'secret', 'cookie': 'session=abc'},
+                        {'url': '/private.txt', 'token': undefined, 'cookie': undefined}
+                    ]);
+                    fileServer.close(callback);
+                }).catch(callback);
+            });
+        });
+
+        it('does not fetch unreachable links that are denied or when the fallback is disabled', function(callback) {
+            var fetched = 0;
+            var fileServer = http.createServer(function(req, res) {
+                fetched++;
+                res.end('Some private content');
+            });
+            fileServer.listen(0, 'localhost', function() {
+                var link = 'http://localhost:' + fileServer.address().port + '/private.txt';
+                assert.throws(function() {
+                    embdr.setLinkFallback({'deny': ['10.0.0.0/33']});
+                }, Embdr.EmbdrValidationError);
+
+                // Loopback addresses are denied by default
+                server.injectUnreachableLink();
+                embdr.process('http://127.0.0.1:' + fileServer.address().port + '/private.txt', {}).then(function() {
+                    assert.fail('Expected the host to be denied by default');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrValidationError);
+                    assert.ok(/the host 127\.0\.0\.1 is denied$/.test(err.message));
+
+                    // The host is only denied once it has been resolved to a loopback address
+                    embdr.setLinkFallback({'deny': ['127.0.0.0/8', '::1']});
+                    server.injectUnreachableLink();
+                    return embdr.process(link, {});
+                }).then(function() {
+                    assert.fail('Expected the host to be denied');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrValidationError);
+                    assert.ok(/^The link .+ can not be fetched: the host .+ is denied$/.test(err.message));
+
+                    embdr.setLinkFallback({'deny': null, 'allow': ['*.example.com']});
+                    server.injectUnreachableLink();
+                    return embdr.process(link, {});
+                }).then(function() {
+                    assert.fail('Expected the host not to be allowed');
+                }, function(err) {
+                    assert.ok(/the host .+ is not allowed$/.test(err.message));
+
+                    embdr.setLinkFallback(false);
+                    server.injectUnreachableLink();
+                    return embdr.process(link, {});
+                }).then(function() {
+                    assert.fail('Expected the fallback to be disabled');
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrLinkUnreachableError);
+                    assert.strictEqual(fetched, 0);
+                    fileServer.close(callback);
+                }).catch(callback);
+            });
+        });
+
+        it('emits the progress of the upload', function(callback) {
+            var handle = embdr.process(__filename, {'allowedTypes': ['application/javascript']});
+            var progress = [];
+            handle.on('uploadProgress', function(uploadProgress) {
+                progress.push(uploadProgress);
+            });
+            handle.on('start', function() {
+                assert.ok(progress.length > 0);
+                assert.strictEqual(_.last(progress).bytes, _.last(progress).total);
+                handle.cancel();
+                return callback();
+            });
+        });
+
+        it('throws before uploading when a size is invalid', function() {
+            assert.throws(function() {
+                embdr.process(__filename, {'thumbnails': {'sizes': ['x']}});
+            }, /^EmbdrValidationError: Invalid size "x"/);
+            assert.throws(function() {
+                embdr.processAll([__filename], {'images': {'sizes': ['0x600']}});
+            }, Embdr.EmbdrValidationError);
+            assert.strictEqual(server.requests.length, 0);
+        });
+
+        it('backs off within the configured limits and gives up after the deadline', function(callback) {
+            var delays = [];
+            var lastPollAt = null;
+            embdr.on('metric', function(metric) {
+                if (metric.name === 'poll') {
+                    if (lastPollAt) {
+                        delays.push(Date.now() - lastPollAt);
+                    }
+                    lastPollAt = Date.now();
+                }
+            });
+            embdr.setPolling({'initialDelay': 10, 'backoffFactor': 2, 'maxInterval': 40, 'deadline': 200});
+
+            var start = Date.now();
+            embdr.process(new Buffer('Some content'), {}).then(function() {
+                assert.fail('Expected processing to time out');
+            }, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrTimeoutError);
+                assert.strictEqual(err.message, 'The resource was not processed within 200ms');
+                assert.ok(Date.now() - start >= 200);
+
+                // The delays double until they reach the maximum interval. The scheduler may run
+                // a poll a little early when it's close to being due
+                assert.ok(delays.length >= 5);
+                assert.ok(_.every(delays, function(delay) {
+                    return delay < 100;
+                }));
+                assert.ok(_.max(delays) >= 30);
+                return callback();
+            }).catch(callback);
+        });
+
+        it('stops processing when the handle is cancelled', function(callback) {
+            var handle = embdr.process(new Buffer('Some content'), {
+                'complete': function() {
+                    assert.fail('Expected processing to be cancelled');
+                }
+            });
+            handle.once('progress', function() {
+                var polls = _.filter(server.requests, {'method': 'GET'}).length;
+                handle.cancel();
+                handle.catch(function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrCancelledError);
+                    assert.ok(err.cancelled);
+
+                    // Verify no more polling takes place
+                    setTimeout(function() {
+                        assert.strictEqual(_.filter(server.requests, {'method': 'GET'}).length, polls);
+                        return callback();
+                    }, 50);
+                });
+            });
+        });
+
+        it('ignores cancelling a handle that has already completed', function(callback) {
+            var outcomes = [];
+            embdr.on('metric', function(metric) {
+                if (metric.name === 'process') {
+                    outcomes.push(metric.outcome);
+                }
+            });
+            var handle = embdr.process(new Buffer('Some content'));
+            handle.on('cancel', function() {
+                assert.fail('Expected the completed handle not to be cancelled');
+            });
+            handle.once('progress', function(resource) {
+                server.finish(resource.id);
+            });
+            handle.then(function() {
+                handle.cancel();
+                assert.ok(!handle.cancelled);
+                assert.deepEqual(outcomes, ['complete']);
+                return callback();
+            }).catch(callback);
+        });
+
+        it('passes callback URLs to the REST API rather than polling', function() {
+            return embdr.process('http://www.google.com', {
+                'complete': 'http://my.server.com/complete',
+                'thumbnails': {
+                    'sizes': ['32x32'],
+                    'complete': 'http://my.server.com/thumbnails'
+                },
+                'images': {
+                    'complete': 'http://my.server.com/images'
+                }
+            }).then(function(resource) {
+                assert.strictEqual(resource.status, 'pending');
+
+                var fields = server.requests[0].fields;
+                assert.strictEqual(fields.completeCallbackUrl, 'http://my.server.com/complete');
+                assert.strictEqual(fields.thumbnailsCallbackUrl, 'http://my.server.com/thumbnails');
+                assert.strictEqual(fields.imagesCallbackUrl, 'http://my.server.com/images');
+                assert.strictEqual(server.requests.length, 1);
+            });
+        });
+    });
+
+    describe('#setCache', function() {
+        var thumbnails = {'sizes': ['32x32']};
+
+        beforeEach(function() {
+            server.processingDelay = 0;
+            embdr.setCache(new Embdr.MemoryCache());
+        });
+
+        /*!
+         * Get the amount of resources that were created on the fake server
+         *
+         * @return {number}                         The amount of resources that were created
+         */
+        var getUploads = function() {
+            return _.filter(server.requests, {'method': 'POST', 'path': '/resources'}).length;
+        };
+
+        it('uses the existing resource for identical content and sizes', function() {
+            var created = null;
+            return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails}).then(function(resource) {
+                created = resource;
+                var completedThumbnails = null;
+                var handle = embdr.process(new Buffer('Some content'), {
+                    'thumbnails': {
+                        'sizes': ['32×32'],
+                        'complete': function(previews, summary) {
+                            completedThumbnails = summary.succeeded;
+                        }
+                    }
+                });
+                var thumbnailsEvent = null;
+                handle.on('thumbnails', function(previews) {
+                    thumbnailsEvent = previews;
+                });
+                return handle.then(function(cachedResource) {
+                    assert.ok(handle.cached);
+                    assert.strictEqual(cachedResource.id, created.id);
+                    assert.strictEqual(cachedResource.status, 'done');
+                    assert.strictEqual(getUploads(), 1);
+
+                    // The previews of the cached resource are reported as if it had been polled
+                    assert.deepEqual(completedThumbnails, ['32x32']);
+                    assert.deepEqual(thumbnailsEvent, cachedResource.thumbnails);
+
+                    // Other sizes or other content are uploaded
+                    return Promise.all([
+                        embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['64x64']}}),
+                        embdr.process(new Buffer('Other content'), {'thumbnails': thumbnails})
+                    ]);
+                });
+            }).then(function(resources) {
+                assert.notStrictEqual(resources[0].id, created.id);
+                assert.notStrictEqual(resources[1].id, created.id);
+                assert.strictEqual(getUploads(), 3);
+
+                // An upload can be forced, the new resource is used from then on
+                return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails, 'forceUpload': true});
+            }).then(function(resource) {
+                assert.notStrictEqual(resource.id, created.id);
+                created = resource;
+                return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails});
+            }).then(function(resource) {
+                assert.strictEqual(resource.id, created.id);
+                assert.strictEqual(getUploads(), 4);
+            });
+        });
+
+        it('hashes paths, file streams and other streams', function() {
+            var created = null;
+            return embdr.process(__filename, {'thumbnails': thumbnails}).then(function(resource) {
+                created = resource;
+                return embdr.process(fs.createReadStream(__filename), {'thumbnails': thumbnails});
+            }).then(function(resource) {
+                assert.strictEqual(resource.id, created.id);
+                assert.strictEqual(getUploads(), 1);
+
+                // Other streams are hashed as they're uploaded
+                var stream = new Stream.PassThrough();
+                stream.end('Streamed content');
+                return embdr.process(stream, {'thumbnails': thumbnails});
+            }).then(function(resource) {
+                created = resource;
+                assert.strictEqual(resource.size, 16);
+                assert.strictEqual(getUploads(), 2);
+                return embdr.process(new Buffer('Streamed content'), {'thumbnails': thumbnails});
+            }).then(function(resource) {
+                assert.strictEqual(resource.id, created.id);
+                assert.strictEqual(getUploads(), 2);
+            });
+        });
+
+        it('uploads the content again when the resource was deleted or has expired', function() {
+            embdr.setCache(new Embdr.MemoryCache(), {'ttl': 50});
+            return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails}).then(function(resource) {
+                return embdr.resources.delete(resource.id);
+            }).then(function() {
+                return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails});
+            }).then(function() {
+                assert.strictEqual(getUploads(), 2);
+                return new Promise(function(resolve) {
+                    setTimeout(resolve, 60);
+                });
+            }).then(function() {
+                return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails});
+            }).then(function() {
+                assert.strictEqual(getUploads(), 3);
+            });
+        });
+
+        it('uploads the content when the cache fails', function() {
+            var cacheErrors = [];
+            embdr.on('cacheError', function(err) {
+                cacheErrors.push(err);
+            });
+            embdr.setCache({
+                'get': function(key, callback) {
+                    return callback({'message': 'Boom'});
+                },
+                'set': function(key, value, ttl, callback) {
+                    return callback({'message': 'Boom'});
+                },
+                'remove': function(key, callback) {
+                    return callback();
+                }
+            });
+
+            return embdr.process(new Buffer('Some content'), {'thumbnails': thumbnails}).then(function(resource) {
+                assert.strictEqual(resource.status, 'done');
+                assert.strictEqual(cacheErrors.length, 2);
+                assert.strictEqual(cacheErrors[0].err.message, 'Boom');
+            });
+        });
+    });
+
+    describe('Debugging and metrics', function() {
+        it('passes requests and responses through the interceptors', function(callback) {
+            var responses = [];
+            var interceptor = {
+                'request': function(options) {
+                    options.headers['X-Request-Id'] = 'abc';
+                },
+                'response': function(info) {
+                    responses.push(info);
+                }
+            };
+            embdr.addInterceptor(interceptor);
+            embdr.resources.createLink('http://www.google.com', function(err, resource) {
+                assert.ok(!err);
+                assert.strictEqual(server.requests[0].headers['x-request-id'], 'abc');
+                assert.strictEqual(responses.length, 1);
+                assert.strictEqual(responses[0].method, 'POST');
+                assert.strictEqual(responses[0].path, '/resources');
+                assert.strictEqual(responses[0].status, 201);
+                assert.ok(responses[0].duration >= 0);
+
+                // Removed interceptors are no longer invoked
+                embdr.removeInterceptor(interceptor);
+                embdr.resources.get(resource.id, function(getErr) {
+                    assert.ok(!getErr);
+                    assert.strictEqual(server.requests[1].headers['x-request-id'], undefined);
+                    assert.strictEqual(responses.length, 1);
+                    return callback();
+                });
+            });
+        });
+
+        it('logs requests without the API key', function(callback) {
+            var lines = [];
+            var client = new Embdr({
+                'apiKey': 'test-key',
+                'baseUrl': 'http://localhost:' + server.port + '/api',
+                'debug': function(line) {
+                    lines.push(line);
+                }
+            });
+            client.resources.get('missing', function(err) {
+                assert.ok(err instanceof Embdr.EmbdrNotFoundError);
+                assert.strictEqual(lines.length, 1);
+                assert.ok(/^embdr GET http:\/\/localhost:\d+\/api\/resources\/missing 404 \d+ms /.test(lines[0]));
+                assert.ok(lines[0].indexOf('"Authorization":"[REDACTED]"') !== -1);
+                assert.strictEqual(lines[0].indexOf(client._api.auth), -1);
+                return callback();
+            });
+        });
+
+        it('emits metrics for requests, polls and processing', function(callback) {
+            var metrics = [];
+            embdr.on('metric', function(metric) {
+                metrics.push(metric);
+            });
+            var handle = embdr.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}});
+            handle.once('progress', function(resource) {
+                server.finish(resource.id);
+            });
+            handle.on('complete', function(resource) {
+                var requests = _.filter(metrics, {'name': 'request'});
+                var polls = _.filter(metrics, {'name': 'poll'});
+                assert.deepEqual(_.pick(requests[0], 'method', 'path', 'status'), {'method': 'POST', 'path': '/resources', 'status': 201});
+                assert.ok(polls.length >= 2);
+                assert.deepEqual(_.last(polls), {'name': 'poll', 'id': resource.id, 'polls': polls.length});
+
+                var processed = _.last(metrics);
+                assert.strictEqual(processed.name, 'process');
+                assert.strictEqual(processed.id, resource.id);
+                assert.strictEqual(processed.outcome, 'complete');
+                assert.strictEqual(processed.polls, polls.length);
+                assert.ok(processed.duration >= 0);
+                return callback();
+            });
+        });
+    });
+
+    describe('Tenants', function() {
+        /*!
+         * Get the value of the Authorization header for an API key
+         *
+         * @param  {string}     apiKey              The API key
+         * @return {string}                         The value of the Authorization header
+         */
+        var auth = function(apiKey) {
+            return 'Basic ' + new Buffer(apiKey + ':').toString('base64');
+        };
+
+        beforeEach(function() {
+            server.apiKeys.push('acme-key', 'other-key');
+        });
+
+        it('makes all the requests of a scoped client with the tenant\'s API key and accounts for them', function(callback) {
+            embdr.addTenant('acme', 'acme-key');
+            var acme = embdr.forTenant('acme');
+            assert.strictEqual(acme._scheduler, embdr._scheduler);
+
+            var handle = acme.process(new Buffer('Some content'), {'thumbnails': {'sizes': ['32x32']}});
+            handle.once('progress', function(resource) {
+                server.finish(resource.id);
+            });
+            handle.on('complete', function() {
+                assert.deepEqual(_.uniq(_.pluck(_.pluck(server.requests, 'headers'), 'authorization')), [auth('acme-key')]);
+
+                var usage = embdr.getUsage('acme');
+                assert.strictEqual(usage.requests, server.requests.length);
+                assert.strictEqual(usage.resources, 1);
+                assert.strictEqual(usage.polls, server.requests.length - 1);
+                assert.ok(usage.bytesUploaded > 'Some content'.length);
+
+                // Requests of the client itself are not accounted for the tenant
+                embdr.resources.list(function(err) {
+                    assert.ok(!err);
+                    assert.strictEqual(_.last(server.requests).headers.authorization, auth('test-key'));
+                    assert.deepEqual(embdr.getUsage(), {'acme': usage});
+
+                    embdr.resetUsage('acme');
+                    assert.deepEqual(embdr.getUsage('acme'), {'requests': 0, 'resources': 0, 'bytesUploaded': 0, 'polls': 0});
+                    return callback();
+                });
+            });
+        });
+
+        it('makes single calls with the API key they are passed', function(callback) {
+            embdr.resources.list({'apiKey': 'wrong-key'}, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrAuthError);
+
+                var handle = embdr.process(new Buffer('Some content'), {'apiKey': 'other-key'});
+                handle.once('progress', function(resource) {
+                    server.finish(resource.id);
+                });
+                handle.on('complete', function() {
+                    var authorizations = _.pluck(_.pluck(server.requests.slice(1), 'headers'), 'authorization');
+                    assert.deepEqual(_.uniq(authorizations), [auth('other-key')]);
+                    assert.deepEqual(embdr.getUsage(), {});
+                    return callback();
+                });
+            });
+        });
+
+        it('uses an API key as is when it matches the name of a tenant', function(callback) {
+            server.apiKeys.push('acme');
+            embdr.addTenant('acme', 'acme-key');
+
+            var handle = embdr.process(new Buffer('Some content'), {'apiKey': 'acme'});
+            handle.once('progress', function(resource) {
+                server.finish(resource.id);
+            });
+            handle.on('complete', function() {
+                var authorizations = _.pluck(_.pluck(server.requests, 'headers'), 'authorization');
+                assert.deepEqual(_.uniq(authorizations), [auth('acme')]);
+                assert.strictEqual(embdr.getUsage('acme').requests, 0);
+
+                embdr.withApiKey('acme').resources.list(function(err) {
+                    assert.ok(!err);
+                    assert.strictEqual(_.last(server.requests).headers.authorization, auth('acme'));
+                    assert.strictEqual(embdr.getUsage('acme').requests, 0);
+                    return callback();
+                });
+            });
+        });
+
+        it('keeps the cache of each API key separate', function(callback) {
+            embdr.setCache(new Embdr.MemoryCache());
+            embdr.addTenant('acme', 'acme-key');
+            var acme = embdr.forTenant('acme');
+
+            var handle = acme.process(new Buffer('Some content'));
+            handle.once('progress', function(resource) {
+                server.finish(resource.id);
+            });
+            handle.then(function(resource) {
+                // The tenant's resource is not used for the same content with another API key
+                var otherHandle = embdr.process(new Buffer('Some content'));
+                otherHandle.once('progress', function() {
+                    assert.ok(!otherHandle.cached);
+                    otherHandle.cancel();
+
+                    var cachedHandle = acme.process(new Buffer('Some content'));
+                    cachedHandle.then(function(cachedResource) {
+                        assert.ok(cachedHandle.cached);
+                        assert.strictEqual(cachedResource.id, resource.id);
+                        return callback();
+                    }).catch(callback);
+                });
+            }).catch(callback);
+        });
+
+        it('resumes the jobs of a tenant with its API key', function(callback) {
+            var store = new Embdr.MemoryStore();
+            embdr.setStore(store);
+            embdr.addTenant('acme', 'acme-key');
+
+            var handle = embdr.forTenant('acme').process(new Buffer('Some content'), {'handler': 'documents'});
+            handle.once('progress', function(resource) {
+                store.list(function(err, jobs) {
+                    assert.ok(!err);
+                    assert.strictEqual(jobs[0].tenant, 'acme');
+                    handle.cancel();
+
+                    var restartedStore = new Embdr.MemoryStore();
+                    restartedStore.save(jobs[0], _.noop);
+                    var restarted = new Embdr({
+                        'apiKey': 'test-key',
+                        'baseUrl': 'http://localhost:' + server.port + '/api',
+                        'tenants': {'acme': 'acme-key'}
+                    });
+                    restarted.setStore(restartedStore);
+                    restarted.resume({
+                        'documents': {
+                            'complete': function(completedResource) {
+                                assert.strictEqual(completedResource.id, resource.id);
+                                assert.strictEqual(_.last(server.requests).headers.authorization, auth('acme-key'));
+                                assert.strictEqual(restarted.getUsage('acme').polls, 1);
+                                return callback();
+                            }
+                        }
+                    }).then(function() {
+                        server.finish(resource.id);
+                    }).catch(callback);
+                });
+            });
+        });
+
+        it('applies changes through a scoped client to the client it was created from', function() {
+            var acme = embdr.withApiKey('acme-key');
+            var rootAuth = embdr._api.auth;
+            assert.throws(function() {
+                acme.setApiKey('other-key');
+            }, Embdr.EmbdrValidationError);
+            assert.strictEqual(embdr._api.auth, rootAuth);
+
+            var store = new Embdr.MemoryStore();
+            acme.setStore(store);
+            acme.setCache(new Embdr.MemoryCache());
+            assert.strictEqual(embdr._store, store);
+            assert.ok(embdr._cache);
+
+            var interceptor = {};
+            embdr.addInterceptor(interceptor);
+            acme.removeInterceptor(interceptor);
+            assert.deepEqual(embdr._interceptors, []);
+
+            // Listeners that are removed through the scoped client don't detach it from the others
+            var metrics = [];
+            acme.once('retry', _.noop);
+            acme.emit('retry');
+            acme.on('metric', function(metric) {
+                metrics.push(metric);
+            });
+            embdr.emit('metric', {'name': 'request'});
+            assert.strictEqual(metrics.length, 1);
+        });
+
+        it('validates tenants', function() {
+            assert.throws(function() {
+                embdr.forTenant();
+            }, Embdr.EmbdrValidationError);
+            assert.throws(function() {
+                embdr.forTenant('acme-key');
+            }, Embdr.EmbdrValidationError);
+            assert.throws(function() {
+                embdr.withApiKey();
+            }, Embdr.EmbdrValidationError);
+            assert.throws(function() {
+                embdr.addTenant('acme');
+            }, Embdr.EmbdrValidationError);
+            assert.strictEqual(embdr.getUsage('acme'), null);
+        });
+    });
+
+    describe('#resume', function() {
+        it('records the resources that are being polled in the job store', function(callback) {
+            var store = new Embdr.MemoryStore();
+            embdr.setStore(store);
+
+            var handle = embdr.process(new Buffer('Some content'), {
+                'key': 'doc-1',
+                'handler': 'documents',
+                'thumbnails': {'sizes': ['32x32']}
+            });
+            handle.once('progress', function(resource) {
+                store.list(function(err, jobs) {
+                    assert.ok(!err);
+                    assert.strictEqual(jobs.length, 1);
+                    assert.strictEqual(jobs[0].id, resource.id);
+                    assert.strictEqual(jobs[0].key, 'doc-1');
+                    assert.strictEqual(jobs[0].handler, 'documents');
+                    assert.deepEqual(jobs[0].thumbnailSizes, ['32x32']);
+                    assert.deepEqual(jobs[0].imageSizes, []);
+                    assert.strictEqual(jobs[0].polling.timeout, Embdr.DEFAULT_POLLING.initialDelay);
+                    assert.ok(jobs[0].polling.nextPollAt);
+                    server.finish(resource.id);
+                });
+            });
+
+            // The job is removed once the resource has been processed
+            handle.then(function() {
+                store.list(function(err, jobs) {
+                    assert.ok(!err);
+                    assert.deepEqual(jobs, []);
+                    return callback();
+                });
+            }).catch(callback);
+        });
+
+        it('resumes polling after a restart', function(callback) {
+            var store = new Embdr.MemoryStore();
+            embdr.setStore(store);
+
+            var handle = embdr.process(new Buffer('Some content'), {'key': 'doc-1', 'handler': 'documents'});
+            embdr.process(new Buffer('Other content'), {'key': 'doc-2', 'handler': 'others'});
+
+            // Take a snapshot of the job store once the first resource has been polled a few times
+            // and throw away the client as if the process stopped
+            handle.on('progress', _.after(2, _.once(function(resource) {
+                store.list(function(err, jobs) {
+                    assert.ok(!err);
+                    assert.strictEqual(jobs.length, 2);
+                    handle.cancel();
+
+                    var restartedStore = new Embdr.MemoryStore();
+                    _.each(jobs, function(job) {
+                        restartedStore.save(job, _.noop);
+                    });
+                    var restarted = server.createClient();
+                    restarted.setStore(restartedStore);
+
+                    var savedJob = _.findWhere(jobs, {'id': resource.id});
+                    assert.ok(savedJob.polling.timeout > Embdr.DEFAULT_POLLING.initialDelay);
+
+                    restarted.resume({
+                        'documents': {
+                            'complete': function(completedResource, job) {
+                                assert.strictEqual(completedResource.id, resource.id);
+                                assert.strictEqual(completedResource.status, 'done');
+                                assert.strictEqual(job.key, 'doc-1');
+
+                                // Jobs without a matching handler are left in the job store
+                                restartedStore.list(function(listErr, remainingJobs) {
+                                    assert.ok(!listErr);
+                                    assert.deepEqual(_.pluck(remainingJobs, 'key'), ['doc-2']);
+                                    return callback();
+                                });
+                            }
+                        }
+                    }).then(function(handles) {
+                        assert.strictEqual(handles.length, 1);
+
+                        // Polling continues with the back-off it had reached
+                        assert.strictEqual(handles[0].job.polling.timeout, savedJob.polling.timeout);
+                        server.finish(resource.id);
+                    }).catch(callback);
+                });
+            })));
+        });
+    });
+
+    describe('#constructor', function() {
+        var env = null;
+
+        beforeEach(function() {
+            env = _.pick(process.env, 'EMBDR_API_KEY', 'EMBDR_URL');
+        });
+
+        afterEach(function() {
+            delete process.env.EMBDR_API_KEY;
+            delete process.env.EMBDR_URL;
+            _.extend(process.env, env);
+        });
+
+        /*!
+         * Start an HTTP server that passes each request to the given handler. The sockets are
+         * destroyed when the server is closed, so requests that were never answered don't keep it open
+         *
+         * @param  {Function}   handler             The request handler
+         * @param  {Function}   callback            Invoked with the server once it's listening
+         */
+        var startServer = function(handler, callback) {
+            var sockets = [];
+            var rawServer = http.createServer(handler);
+            rawServer.on('connection', function(socket) {
+                sockets.push(socket);
+            });
+            rawServer.destroy = function(done) {
+                _.invoke(sockets, 'destroy');
+                rawServer.close(done);
+            };
+            rawServer.listen(0, 'localhost', function() {
+                return callback(rawServer);
+            });
+        };
+
+        it('takes an options object', function(callback) {
+            var client = new Embdr({
+                'apiKey': 'test-key',
+                'baseUrl': 'http://localhost:' + server.port + '/api/',
+                'userAgent': 'my-app/1.0'
+            });
+            assert.strictEqual(client._api.strictSSL, Embdr.DEFAULT_STRICT_SSL);
+            client.resources.createLink('http://www.google.com', {'headers': {'X-Request-Id': 'abc'}}, function(err, resource) {
+                assert.ok(!err);
+                assert.ok(resource.id);
+                assert.strictEqual(server.requests[0].headers['user-agent'], 'my-app/1.0');
+                assert.strictEqual(server.requests[0].headers['x-request-id'], 'abc');
+                return callback();
+            });
+        });
+
+        it('falls back to the environment variables', function(callback) {
+            process.env.EMBDR_API_KEY = 'test-key';
+            process.env.EMBDR_URL = 'http://localhost:' + server.port + '/api';
+
+            var client = new Embdr();
+            client.resources.createLink('http://www.google.com', function(err) {
+                assert.ok(!err);
+                assert.strictEqual(server.requests[0].headers['user-agent'], Embdr.DEFAULT_USER_AGENT);
+                assert.throws(function() {
+                    return new Embdr({'baseUrl': 'ftp://embdr.io'});
+                });
+                return callback();
+            });
+        });
+
+        it('maps the deprecated polling statics onto the default polling settings', function() {
+            var polling = _.clone(Embdr.DEFAULT_POLLING);
+            try {
+                assert.strictEqual(Embdr.DEFAULT_POLLING.unref, false);
+                assert.strictEqual(Embdr.DEFAULT_POLLING_BACKOFF_DENOMINATOR, 4);
+                assert.strictEqual(Embdr.MAX_POLLING_TIMEOUT, 30000);
+
+                Embdr.DEFAULT_POLLING_INITIAL_TIMEOUT = 500;
+                Embdr.DEFAULT_POLLING_BACKOFF_DENOMINATOR = 2;
+                Embdr.MAX_POLLING_TIMEOUT = 5000;
+                var client = new Embdr({'apiKey': 'test-key'});
+                assert.strictEqual(client._polling.initialDelay, 500);
+                assert.strictEqual(client._polling.backoffFactor, 1.5);
+                assert.strictEqual(client._polling.maxInterval, 5000);
+            } finally {
+                Embdr.DEFAULT_POLLING = polling;
+            }
+        });
+
+        it('fails requests that time out', function(callback) {
+            startServer(_.noop, function(hangingServer) {
+                var client = new Embdr({
+                    'apiKey': 'test-key',
+                    'baseUrl': 'http://localhost:' + hangingServer.address().port + '/api',
+                    'timeout': 5000
+                });
+                client.setRetry({'maxAttempts': 1});
+
+                // The timeout can be overridden for a single request
+                var start = Date.now();
+                client.resources.get('fake1', {'timeout': 50}, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrNetworkError);
+                    assert.strictEqual(err.code, 500);
+                    assert.strictEqual(err.message, 'The REST API did not respond in time');
+                    assert.ok(Date.now() - start < 1000);
+                    hangingServer.destroy(callback);
+                });
+            });
+        });
+
+        it('sends requests through a proxy and an agent', function(callback) {
+            var proxied = [];
+            startServer(function(req, res) {
+                proxied.push(req.url);
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({'id': 'fake1', 'status': 'done'}));
+            }, function(proxy) {
+                var agent = new http.Agent({'keepAlive': true});
+                var addRequest = agent.addRequest;
+                var agentUsed = false;
+                agent.addRequest = function() {
+                    agentUsed = true;
+                    return addRequest.apply(this, arguments);
+                };
+
+                var client = new Embdr({
+                    'apiKey': 'test-key',
+                    'baseUrl': 'http://embdr.example.com/api',
+                    'proxy': 'http://localhost:' + proxy.address().port,
+                    'agent': agent
+                });
+                client.resources.get('fake1', function(err, resource) {
+                    assert.ok(!err);
+                    assert.strictEqual(resource.id, 'fake1');
+                    assert.deepEqual(proxied, ['http://embdr.example.com:80/api/resources/fake1']);
+                    assert.ok(agentUsed);
+                    agent.destroy();
+                    proxy.destroy(callback);
+                });
+            });
+        });
+    });
+
+    describe('#setHost', function() {
+        it('directs requests to the given host', function(callback) {
+            var client = new Embdr('test-key');
+            client.setHost('localhost', server.port, 'HTTP');
+            client.setBasePath('/api');
+            client.resources.createLink('http://www.google.com', function(err, resource) {
+                assert.ok(!err);
+                assert.ok(resource.id);
+                return callback();
+            });
+        });
+    });
+});
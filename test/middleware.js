@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var http = require('http');
+var request = require('request');
+
+var Embdr = require('../lib/embdr');
+var EmbdrTesting = require('../testing');
+
+describe('Middleware', function() {
+    var server = null;
+    var embdr = null;
+    var appServer = null;
+
+    beforeEach(function(callback) {
+        server = EmbdrTesting.createServer({'apiKey': 'test-key', 'processingDelay': null});
+        server.listen(function(err) {
+            assert.ok(!err);
+            embdr = server.createClient();
+            return callback();
+        });
+    });
+
+    afterEach(function(callback) {
+        server.close(function() {
+            if (!appServer) {
+                return callback();
+            }
+            appServer.close(callback);
+            appServer = null;
+        });
+    });
+
+    /*!
+     * Start an HTTP server that passes each request to the given handler
+     *
+     * @param  {Function}   handler             The request handler
+     * @param  {Function}   callback            Invoked once the server is listening
+     */
+    var startApp = function(handler, callback) {
+        appServer = http.createServer(handler);
+        appServer.listen(0, 'localhost', callback);
+    };
+
+    /*!
+     * Post a multipart form to the app server
+     *
+     * @param  {Object}     formData            The fields of the form
+     * @param  {Function}   callback            Invoked with the status code and the parsed body of the response
+     */
+    var upload = function(formData, callback) {
+        request.post({
+            'url': 'http://localhost:' + appServer.address().port + '/upload',
+            'formData': formData,
+            'json': true
+        }, function(err, res, body) {
+            assert.ok(!err);
+            return callback(res.statusCode, body);
+        });
+    };
+
+    var PNG = new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+    it('streams the uploaded file to the REST API and passes on the resource', function(callback) {
+        var middleware = embdr.middleware({
+            'field': 'upload',
+            'thumbnails': {'sizes': ['32x32']},
+            'allowedTypes': ['image/*']
+        });
+        startApp(function(req, res) {
+            middleware(req, res, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(req.body.title, 'A logo');
+                res.end(JSON.stringify({'id': req.embdr.id, 'size': req.embdr.size}));
+            });
+        }, function() {
+            upload({
+                'title': 'A logo',
+                'other': {'value': new Buffer('Skipped'), 'options': {'filename': 'other.txt'}},
+                'upload': {'value': PNG, 'options': {'filename': 'logo.png', 'contentType': 'image/png'}}
+            }, function(statusCode, body) {
+                assert.strictEqual(statusCode, 200);
+                assert.strictEqual(body.size, PNG.length);
+
+                var resource = server.resources[body.id];
+                assert.deepEqual(_.pluck(resource.thumbnails, 'size'), ['32x32']);
+                assert.strictEqual(_.last(server.requests).fields.file.filename, 'logo.png');
+                return callback();
+            });
+        });
+    });
+
+    it('answers with the created resource', function(callback) {
+        startApp(embdr.middleware({'respond': true}), function() {
+            upload({'file': {'value': PNG, 'options': {'filename': 'logo.png'}}}, function(statusCode, body) {
+                assert.strictEqual(statusCode, 201);
+                assert.strictEqual(body.type, 'file');
+                assert.ok(server.resources[body.id]);
+                return callback();
+            });
+        });
+    });
+
+    it('refuses files that are too large or of a disallowed type while streaming', function(callback) {
+        var middleware = embdr.middleware({'maxBytes': 10, 'allowedTypes': ['application/pdf']});
+        startApp(middleware, function() {
+            upload({'file': {'value': new Buffer(1024 * 1024), 'options': {'filename': 'large.pdf'}}}, function(statusCode, body) {
+                assert.strictEqual(statusCode, 400);
+                assert.strictEqual(body.message, 'The file is larger than the maximum of 10 bytes');
+
+                upload({'file': {'value': PNG.slice(0, 8), 'options': {'filename': 'logo.png'}}}, function(typeStatusCode, typeBody) {
+                    assert.strictEqual(typeStatusCode, 400);
+                    assert.strictEqual(typeBody.message, 'Files of type image/png are not allowed. Allowed types are: application/pdf');
+                    assert.ok(_.isEmpty(server.resources));
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('passes errors on to the next middleware', function(callback) {
+        var middleware = embdr.middleware();
+        startApp(function(req, res) {
+            middleware(req, res, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrValidationError);
+                assert.strictEqual(err.message, 'The request has no file in the file field');
+                res.statusCode = 422;
+                res.end();
+            });
+        }, function() {
+            upload({'title': 'No file'}, function(statusCode) {
+                assert.strictEqual(statusCode, 422);
+                assert.throws(function() {
+                    embdr.middleware({'images': {'sizes': ['0x0']}});
+                }, Embdr.EmbdrValidationError);
+                return callback();
+            });
+        });
+    });
+});
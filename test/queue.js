@@ -0,0 +1,240 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Embdr = require('../lib/embdr');
+var EmbdrTesting = require('../testing');
+
+describe('Queue', function() {
+    var server = null;
+    var embdr = null;
+    var initialPollingTimeout = Embdr.DEFAULT_POLLING.initialDelay;
+
+    // Poll quickly so the tests don't have to wait for the REST API
+    before(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = 10;
+    });
+
+    after(function() {
+        Embdr.DEFAULT_POLLING.initialDelay = initialPollingTimeout;
+    });
+
+    /*!
+     * Start a fake server with the given options and create a client for it
+     *
+     * @param  {Object}     [options]           The options for the fake server
+     * @param  {Function}   callback            Standard callback function
+     */
+    var startServer = function(options, callback) {
+        server = EmbdrTesting.createServer(_.extend({'apiKey': 'test-key'}, options));
+        server.listen(function(err) {
+            assert.ok(!err);
+            embdr = server.createClient();
+            return callback();
+        });
+    };
+
+    afterEach(function(callback) {
+        server.close(callback);
+    });
+
+    it('processes an array of items and summarizes the results', function(callback) {
+        // Resources of 3 bytes can't be processed
+        var isSupported = function(resource) {
+            return resource.size !== 3;
+        };
+        startServer({'failedSizes': ['64x64'], 'isSupported': isSupported}, function() {
+            var items = [__filename, new Buffer('Some content'), new Buffer('abc'), '/does/not/exist'];
+            embdr.processAll(items, {'thumbnails': {'sizes': ['32x32']}}).then(function(summary) {
+                assert.strictEqual(summary.total, 4);
+                assert.deepEqual(_.pluck(summary.succeeded, 'input'), [__filename, '#1']);
+                assert.deepEqual(_.pluck(summary.unsupported, 'input'), ['#2']);
+                assert.deepEqual(_.pluck(summary.failed, 'input'), ['/does/not/exist']);
+                assert.strictEqual(summary.failed[0].id, null);
+                assert.ok(summary.failed[0].error);
+
+                // Entries can be looked up by their input and resource id
+                assert.deepEqual(summary.inputs[__filename], [summary.succeeded[0]]);
+                assert.strictEqual(summary.resources[summary.succeeded[0].id], summary.succeeded[0]);
+                assert.strictEqual(_.size(summary.resources), 3);
+
+                // Items that were created but whose previews failed are marked as failed
+                return embdr.processAll([__filename], {'thumbnails': {'sizes': ['64x64']}});
+            }).then(function(summary) {
+                assert.strictEqual(summary.failed.length, 1);
+                assert.strictEqual(summary.failed[0].resource.thumbnails[0].status, 'failed');
+                assert.ok(summary.failed[0].error instanceof Embdr.EmbdrProcessingError);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('keeps the entries of inputs that are added more than once', function(callback) {
+        startServer({}, function() {
+            embdr.processAll([__filename, new Buffer('Some content'), __filename]).then(function(summary) {
+                assert.strictEqual(summary.total, 3);
+                assert.deepEqual(_.pluck(summary.inputs[__filename], 'index'), [0, 2]);
+                assert.deepEqual(_.pluck(summary.inputs['#1'], 'index'), [1]);
+                assert.strictEqual(_.size(summary.resources), 3);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('limits the amount of concurrent uploads and pending resources', function(callback) {
+        startServer({'processingDelay': null}, function() {
+            var maxUploading = 0;
+            var maxActive = 0;
+            var items = _.times(8, function(i) {
+                return new Buffer('Item ' + i);
+            });
+            var queue = embdr.processAll(items, {'concurrency': 2, 'maxPending': 3});
+
+            queue.on('progress', function(entry, stats) {
+                assert.strictEqual(stats.total, 8);
+                maxUploading = Math.max(maxUploading, stats.uploading);
+                maxActive = Math.max(maxActive, stats.uploading + stats.pending);
+            });
+
+            // Finish the resources one by one so the next items can be started
+            server.on('resource', function(resource) {
+                setTimeout(function() {
+                    server.finish(resource.id);
+                }, 20);
+            });
+
+            queue.then(function(summary) {
+                assert.strictEqual(summary.succeeded.length, 8);
+                assert.strictEqual(maxUploading, 2);
+                assert.strictEqual(maxActive, 3);
+                assert.deepEqual(queue.getStats(), {
+                    'total': 8,
+                    'queued': 0,
+                    'uploading': 0,
+                    'pending': 0,
+                    'succeeded': 8,
+                    'failed': 0,
+                    'unsupported': 0
+                });
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('limits the rate at which items are started', function(callback) {
+        startServer({}, function() {
+            var started = [];
+            var queue = embdr.queue({'ratePerSecond': 20});
+            queue.on('process', function() {
+                started.push(Date.now());
+            });
+
+            _.times(3, function(i) {
+                queue.push(new Buffer('Item ' + i));
+            });
+            queue.end();
+
+            queue.then(function(summary) {
+                assert.strictEqual(summary.succeeded.length, 3);
+                assert.ok(started[1] - started[0] >= 45);
+                assert.ok(started[2] - started[1] >= 45);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('processes the items of an asynchronous iterable', function(callback) {
+        startServer({}, function() {
+            var pulled = 0;
+            var iterable = {};
+            iterable[Symbol.asyncIterator] = function() {
+                return {
+                    'next': function() {
+                        pulled++;
+                        return Promise.resolve(pulled > 5 ? {'done': true} : {'done': false, 'value': new Buffer('Item ' + pulled)});
+                    }
+                };
+            };
+
+            embdr.processAll(iterable, {'concurrency': 1, 'maxPending': 1}).then(function(summary) {
+                assert.strictEqual(summary.total, 5);
+                assert.strictEqual(summary.succeeded.length, 5);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('rejects when the items of an iterable can not be retrieved', function(callback) {
+        startServer({}, function() {
+            var iterable = {};
+            iterable[Symbol.asyncIterator] = function() {
+                return {
+                    'next': function() {
+                        return Promise.reject(new Error('Boom'));
+                    }
+                };
+            };
+
+            embdr.processAll(iterable).then(function() {
+                return callback(new Error('The queue should have been rejected'));
+            }, function(err) {
+                assert.ok(err instanceof Embdr.EmbdrStreamError);
+                assert.strictEqual(err.message, 'The items could not be retrieved');
+                assert.strictEqual(err.err.message, 'Boom');
+                return callback();
+            });
+        });
+    });
+
+    it('processes the files that match a glob pattern', function(callback) {
+        var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'embdr-queue-'));
+        fs.writeFileSync(path.join(directory, 'a.txt'), 'A');
+        fs.writeFileSync(path.join(directory, 'b.txt'), 'B');
+        fs.writeFileSync(path.join(directory, 'c.pdf'), 'C');
+
+        startServer({}, function() {
+            embdr.processAll(path.join(directory, '*.txt')).then(function(summary) {
+                assert.deepEqual(_.keys(summary.inputs), [path.join(directory, 'a.txt'), path.join(directory, 'b.txt')]);
+                assert.strictEqual(summary.succeeded.length, 2);
+
+                _.each(fs.readdirSync(directory), function(file) {
+                    fs.unlinkSync(path.join(directory, file));
+                });
+                fs.rmdirSync(directory);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('cancels the items that are being processed', function(callback) {
+        startServer({'processingDelay': null}, function() {
+            var items = _.times(5, function(i) {
+                return new Buffer('Item ' + i);
+            });
+            var queue = embdr.processAll(items, {'concurrency': 2});
+            queue.on('progress', function(entry, stats) {
+                // Cancel once the first item has been uploaded while the second item is still being uploaded
+                if (stats.pending === 1) {
+                    queue.cancel();
+                }
+            });
+
+            queue.then(function(summary) {
+                assert.strictEqual(summary.total, 2);
+                assert.strictEqual(summary.failed.length, 2);
+                assert.ok(summary.failed[0].error.cancelled);
+                assert.ok(summary.failed[1].error.cancelled);
+                assert.strictEqual(_.size(server.resources), 1);
+                return callback();
+            }).catch(callback);
+        });
+    });
+});
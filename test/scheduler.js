@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+
+var Scheduler = require('../lib/scheduler');
+
+describe('Scheduler', function() {
+    it('runs the tasks that are due together within the concurrency', function(callback) {
+        var scheduler = new Scheduler({'concurrency': 2});
+        var started = [];
+        var finish = {};
+        var tasks = _.map(['a', 'b', 'c'], function(name) {
+            return scheduler.add(function(done) {
+                started.push(name);
+                finish[name] = done;
+            }, 10);
+        });
+
+        setTimeout(function() {
+            // Only 2 tasks can run at the same time, the third one runs when a slot frees up
+            assert.deepEqual(started, ['a', 'b']);
+            finish.b();
+            assert.deepEqual(started, ['a', 'b', 'c']);
+
+            // A task that is removed while it's running frees up its slot as well
+            scheduler.add(function() {
+                assert.deepEqual(started, ['a', 'b', 'c']);
+                return callback();
+            }, 0);
+            setTimeout(function() {
+                assert.strictEqual(scheduler._queued.length, 1);
+                scheduler.remove(tasks[0]);
+            }, 20);
+        }, 30);
+    });
+
+    it('does not run removed tasks', function(callback) {
+        var scheduler = new Scheduler({});
+        var task = scheduler.add(function() {
+            assert.fail('Expected the task not to run');
+        }, 10);
+        scheduler.add(function(done) {
+            done();
+            assert.strictEqual(scheduler._timer, null);
+            return callback();
+        }, 20);
+        scheduler.remove(task);
+    });
+
+    it('does not keep the process alive when the timers are unref\'d', function() {
+        var scheduler = new Scheduler({'unref': true});
+        var task = scheduler.add(_.noop, 60000);
+        assert.strictEqual(scheduler._timer.hasRef(), false);
+        scheduler.remove(task);
+        assert.strictEqual(scheduler._timer, null);
+    });
+});
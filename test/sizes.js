@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+
+var Embdr = require('../lib/embdr');
+var Sizes = require('../lib/sizes');
+
+describe('Sizes', function() {
+    describe('#parse', function() {
+        it('normalizes sizes', function() {
+            assert.strictEqual(Sizes.parse('256x256'), '256x256');
+            assert.strictEqual(Sizes.parse(' 256 X 128 '), '256x128');
+            assert.strictEqual(Sizes.parse('256×256'), '256x256');
+            assert.strictEqual(Sizes.parse('1200x'), '1200x');
+            assert.strictEqual(Sizes.parse('x0600'), 'x600');
+            assert.strictEqual(Sizes.parse({'width': 64, 'height': 32}), '64x32');
+            assert.strictEqual(Sizes.parse({'height': '600'}), 'x600');
+        });
+
+        it('resolves presets', function() {
+            var presets = {'small': '64x64', 'wide': {'width': 1200}};
+            assert.strictEqual(Sizes.parse('small', presets), '64x64');
+            assert.strictEqual(Sizes.parse('wide', presets), '1200x');
+        });
+
+        it('rejects invalid sizes', function() {
+            _.each(['x', '0x0', '256', '256x256x256', '-1x5', 'small', '', {'width': 1.5}, {}, 256, null], function(size) {
+                assert.throws(function() {
+                    Sizes.parse(size);
+                }, function(err) {
+                    assert.ok(err instanceof Embdr.EmbdrValidationError);
+                    assert.strictEqual(err.message.indexOf('Invalid size ' + JSON.stringify(size)), 0);
+                    return true;
+                });
+            });
+        });
+    });
+
+    describe('#normalize', function() {
+        it('normalizes a set of sizes and removes duplicates', function() {
+            assert.deepEqual(Sizes.normalize(['32x32', '32×32', {'width': 32, 'height': 32}, null, '64x']), ['32x32', '64x']);
+            assert.deepEqual(Sizes.normalize('32x32,small', {'small': '16x16'}), ['32x32', '16x16']);
+            assert.deepEqual(Sizes.normalize([]), []);
+            assert.strictEqual(Sizes.normalize(undefined), undefined);
+        });
+
+        it('rejects invalid sizes', function() {
+            assert.throws(function() {
+                Sizes.normalize(['32x32', '0x0']);
+            }, Embdr.EmbdrValidationError);
+            assert.throws(function() {
+                Sizes.normalize(32);
+            }, Embdr.EmbdrValidationError);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Embdr = require('../lib/embdr');
+
+describe('Job stores', function() {
+    var storePath = null;
+
+    beforeEach(function() {
+        storePath = path.join(os.tmpdir(), 'embdr-jobs-' + Date.now() + '.json');
+    });
+
+    afterEach(function() {
+        if (fs.existsSync(storePath)) {
+            fs.unlinkSync(storePath);
+        }
+    });
+
+    _.each({
+        'MemoryStore': function() {
+            return new Embdr.MemoryStore();
+        },
+        'FileStore': function() {
+            return new Embdr.FileStore(storePath);
+        }
+    }, function(createStore, name) {
+        describe(name, function() {
+            it('saves, lists and removes jobs', function(callback) {
+                var store = createStore();
+                var job = {'id': 'a', 'key': 'doc-1', 'polling': {'timeout': 100}};
+                store.save(job, function(err) {
+                    assert.ok(!err);
+
+                    // Changing the job afterwards does not change the stored job
+                    job.polling.timeout = 200;
+                    store.save({'id': 'b', 'key': 'doc-2'}, function(saveErr) {
+                        assert.ok(!saveErr);
+
+                        store.list(function(listErr, jobs) {
+                            assert.ok(!listErr);
+                            assert.deepEqual(_.sortBy(jobs, 'id'), [
+                                {'id': 'a', 'key': 'doc-1', 'polling': {'timeout': 100}},
+                                {'id': 'b', 'key': 'doc-2'}
+                            ]);
+
+                            store.remove('a', function(removeErr) {
+                                assert.ok(!removeErr);
+                                store.list(function(listErr2, remaining) {
+                                    assert.ok(!listErr2);
+                                    assert.deepEqual(_.pluck(remaining, 'id'), ['b']);
+                                    return callback();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('FileStore persistence', function() {
+        it('persists jobs across instances', function(callback) {
+            var store = new Embdr.FileStore(storePath);
+            var saved = _.after(10, function() {
+                var reopened = new Embdr.FileStore(storePath);
+                reopened.list(function(err, jobs) {
+                    assert.ok(!err);
+                    assert.strictEqual(jobs.length, 10);
+                    assert.ok(!fs.existsSync(storePath + '.tmp'));
+                    return callback();
+                });
+            });
+
+            // Concurrent saves are written one after the other
+            _.times(10, function(i) {
+                store.save({'id': 'job-' + i}, function(err) {
+                    assert.ok(!err);
+                    saved();
+                });
+            });
+        });
+
+        it('returns an error when the file is not valid JSON', function(callback) {
+            fs.writeFileSync(storePath, '{"truncated');
+            new Embdr.FileStore(storePath).list(function(err) {
+                assert.ok(err instanceof Embdr.EmbdrStoreError);
+                assert.strictEqual(err.message, 'The job store is not valid JSON');
+                return callback();
+            });
+        });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+
+var Embdr = require('../lib/embdr');
+var EmbdrTesting = require('../testing');
+var Webhooks = require('../lib/webhooks');
+
+describe('Webhooks', function() {
+    var handler = null;
+    var hookServer = null;
+
+    beforeEach(function(callback) {
+        handler = Embdr.webhookHandler({'secret': 'shared-secret', 'path': '/notifications'});
+        hookServer = http.createServer(handler);
+        hookServer.listen(0, 'localhost', callback);
+    });
+
+    afterEach(function(callback) {
+        hookServer.close(callback);
+    });
+
+    /*!
+     * Post a notification to the webhook handler
+     *
+     * @param  {Object}     notification        The notification to post
+     * @param  {Object}     [options]           A set of extra options
+     * @param  {string}     [options.path]      The path to post to. Defaults to `/notifications`
+     * @param  {string}     [options.secret]    The secret to sign the notification with. Defaults to `shared-secret`
+     * @param  {Function}   callback            Invoked with the status code of the response
+     */
+    var notify = function(notification, options, callback) {
+        var body = JSON.stringify(notification);
+        var req = http.request({
+            'host': 'localhost',
+            'port': hookServer.address().port,
+            'path': options.path || '/notifications',
+            'method': 'POST',
+            'headers': {
+                'Content-Type': 'application/json',
+                'X-Embdr-Signature': Webhooks.sign(body, options.secret || 'shared-secret')
+            }
+        }, function(res) {
+            res.resume();
+            res.on('end', function() {
+                return callback(res.statusCode);
+            });
+        });
+        req.end(body);
+    };
+
+    it('routes notifications to the listeners of a resource', function(callback) {
+        var thumbnails = null;
+        handler.register('r1', {
+            'thumbnails': function(data) {
+                thumbnails = data;
+            },
+            'complete': function(resource) {
+                assert.deepEqual(thumbnails, [{'size': '32x32', 'status': 'done'}]);
+                assert.strictEqual(resource.status, 'done');
+                return callback();
+            }
+        });
+
+        var resource = {'id': 'r1', 'status': 'done', 'thumbnails': [{'size': '32x32', 'status': 'done'}]};
+        notify({'event': 'thumbnails', 'resource': resource}, {}, function(statusCode) {
+            assert.strictEqual(statusCode, 204);
+            notify({'event': 'complete', 'resource': resource}, {}, function() {});
+        });
+    });
+
+    it('rejects notifications with an invalid signature', function(callback) {
+        handler.register('r1', {
+            'complete': function() {
+                assert.fail('Expected the notification to be rejected');
+            }
+        });
+        notify({'event': 'complete', 'resource': {'id': 'r1'}}, {'secret': 'wrong-secret'}, function(statusCode) {
+            assert.strictEqual(statusCode, 401);
+            return callback();
+        });
+    });
+
+    it('rejects invalid notifications', function(callback) {
+        notify({'event': 'unknown', 'resource': {'id': 'r1'}}, {}, function(statusCode) {
+            assert.strictEqual(statusCode, 400);
+            return callback();
+        });
+    });
+
+    it('handles notifications whose body has already been parsed', function(callback) {
+        var keepRawBody = false;
+        var unsignedHandler = Embdr.webhookHandler({'path': '/notifications'});
+
+        // Mimic a JSON body parser that runs before the handlers, optionally keeping the raw body
+        // around through its `verify` hook
+        hookServer.removeAllListeners('request');
+        hookServer.on('request', function(req, res) {
+            var chunks = [];
+            req.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            req.on('end', function() {
+                var rawBody = Buffer.concat(chunks);
+                req.body = JSON.parse(rawBody.toString('utf8'));
+                if (keepRawBody) {
+                    req.rawBody = rawBody;
+                }
+
+                var currentHandler = (req.headers['x-handler'] === 'unsigned') ? unsignedHandler : handler;
+                currentHandler(req, res, function() {
+                    res.statusCode = 404;
+                    res.end();
+                });
+            });
+        });
+
+        var completed = [];
+        var complete = function(resource) {
+            completed.push(resource.id);
+        };
+        unsignedHandler.register('r1', {'complete': complete});
+        handler.register('r2', {'complete': complete});
+
+        var post = function(notification, headers, postCallback) {
+            var req = http.request({
+                'host': 'localhost',
+                'port': hookServer.address().port,
+                'path': '/notifications',
+                'method': 'POST',
+                'headers': headers
+            }, function(res) {
+                res.resume();
+                res.on('end', function() {
+                    return postCallback(res.statusCode);
+                });
+            });
+            req.end(JSON.stringify(notification));
+        };
+
+        // Without a secret the parsed body is used as is
+        post({'event': 'complete', 'resource': {'id': 'r1'}}, {'X-Handler': 'unsigned'}, function(unsignedStatusCode) {
+            assert.strictEqual(unsignedStatusCode, 204);
+            assert.deepEqual(completed, ['r1']);
+
+            // The signature can't be verified without the raw body
+            var notification = {'event': 'complete', 'resource': {'id': 'r2'}};
+            var signature = Webhooks.sign(JSON.stringify(notification), 'shared-secret');
+            post(notification, {'X-Embdr-Signature': signature}, function(unverifiedStatusCode) {
+                assert.strictEqual(unverifiedStatusCode, 400);
+                assert.deepEqual(completed, ['r1']);
+
+                keepRawBody = true;
+                post(notification, {'X-Embdr-Signature': signature}, function(signedStatusCode) {
+                    assert.strictEqual(signedStatusCode, 204);
+                    assert.deepEqual(completed, ['r1', 'r2']);
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('only handles requests for its path', function(callback) {
+        notify({'event': 'complete', 'resource': {'id': 'r1'}}, {'path': '/other'}, function(statusCode) {
+            assert.strictEqual(statusCode, 404);
+            return callback();
+        });
+    });
+
+    it('settles a processing handle', function(callback) {
+        var server = EmbdrTesting.createServer({'processingDelay': null});
+        server.listen(function() {
+            var embdr = server.createClient();
+            var handle = embdr.process('http://www.google.com', {
+                'complete': 'http://my.server.com/notifications',
+                'thumbnails': {'complete': 'http://my.server.com/notifications'},
+                'images': {'complete': 'http://my.server.com/notifications'},
+                'webhooks': handler
+            });
+            handle.on('start', function(resource) {
+                server.finish(resource.id);
+                notify({'event': 'complete', 'resource': server.resources[resource.id]}, {}, function() {});
+            });
+            handle.then(function(resource) {
+                assert.strictEqual(resource.status, 'done');
+                server.close(callback);
+            }, callback);
+        });
+    });
+});
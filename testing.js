@@ -0,0 +1,8 @@
+/**
+ * Copyright (c) 2015 "Fronteer LTD". All rights reserved.
+ */
+
+'use strict';
+
+// Expose the fake REST API server so it can be required as `embdr/testing`
+module.exports = require('./lib/testing');